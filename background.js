@@ -10,6 +10,8 @@
  * the Offscreen API to create a hidden document that can host the worker.
  */
 
+import { CONFIG, Direction, Tone, Occurrences } from './data.js';
+
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
@@ -235,22 +237,60 @@ async function initializeWorker() {
 // CONTEXT MENU
 // ============================================================================
 
+// Context menu item -> processing direction (and tone; without one, the
+// tone chosen in the popup is used)
+const SELECTION_MENU_ITEMS = {
+  'complexify-selection': { title: 'Complexify Selection', direction: Direction.COMPLEXIFY },
+  'simplify-selection': { title: 'Simplify Selection', direction: Direction.SIMPLIFY },
+};
+
+// Parent of the per-tone items
+const TONE_MENU_ID = 'complexify-selection-tone';
+
+const TONE_TITLES = {
+  [Tone.ACADEMIC]: 'Academic',
+  [Tone.LITERARY]: 'Literary',
+  [Tone.LEGALESE]: 'Legalese',
+  [Tone.ARCHAIC]: 'Archaic',
+};
+
+for (const [tone, title] of Object.entries(TONE_TITLES)) {
+  SELECTION_MENU_ITEMS[`${TONE_MENU_ID}-${tone}`] = {
+    title,
+    direction: Direction.COMPLEXIFY,
+    tone,
+    parentId: TONE_MENU_ID,
+  };
+}
+
 /**
- * Create context menu on install
+ * Create context menus on install
  */
 chrome.runtime.onInstalled.addListener(() => {
+  const items = Object.entries(SELECTION_MENU_ITEMS);
+  const create = ([id, { title, parentId }]) => chrome.contextMenus.create({
+    id,
+    title,
+    contexts: ['selection'],
+    ...(parentId && { parentId }),
+  });
+
+  // The tone submenu goes after the plain items, its children under it
+  items.filter(([, { parentId }]) => !parentId).forEach(create);
   chrome.contextMenus.create({
-    id: 'complexify-selection',
-    title: 'Complexify Selection',
+    id: TONE_MENU_ID,
+    title: 'Complexify Selection with Tone',
     contexts: ['selection'],
   });
+  items.filter(([, { parentId }]) => parentId).forEach(create);
 });
 
 /**
  * Handle context menu click
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId === 'complexify-selection' && info.selectionText) {
+  const menuItem = SELECTION_MENU_ITEMS[info.menuItemId];
+  if (menuItem && info.selectionText) {
     // Ensure content script is injected first
     await ensureContentScript(tab.id);
 
@@ -288,10 +328,18 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     }).catch(() => {});
 
     try {
-      // Process the selected text
+      // Process the selected text with the settings chosen in the popup
+      const { difficulty, tone, openVocabulary, occurrences } = await chrome.storage.local.get([
+        'difficulty', 'tone', 'openVocabulary', 'occurrences',
+      ]);
       const result = await sendToWorker('processText', {
         text: info.selectionText,
         maxDensity: 0.2, // Higher density for selections
+        direction: menuItem.direction,
+        difficulty: difficulty || null,
+        tone: menuItem.tone || tone || null,
+        openVocabulary: !!openVocabulary,
+        occurrences: occurrences || Occurrences.FIRST,
       });
 
       console.log('[Background] processText result:', result.substitutionsMade, 'substitutions');
@@ -383,6 +431,18 @@ async function handleMessage(message, sender) {
       }
       return await sendToWorker('clearCustomVocabulary');
 
+    case 'addGazetteerEntries':
+      if (!ExtensionState.workerReady) {
+        await initializeWorker();
+      }
+      return await sendToWorker('addGazetteerEntries', message.data);
+
+    case 'clearGazetteer':
+      if (!ExtensionState.workerReady) {
+        await initializeWorker();
+      }
+      return await sendToWorker('clearGazetteer');
+
     case 'getVocabulary':
       if (!ExtensionState.workerReady) {
         await initializeWorker();
@@ -439,62 +499,38 @@ async function processWholePage(tabId, options = {}) {
   // Ensure content script is loaded
   await ensureContentScript(tabId);
 
-  // Get page text
-  const [{ result: pageData }] = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: () => {
-      // Get visible text from page
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_TEXT,
-        {
-          acceptNode: (node) => {
-            // Skip hidden elements
-            const style = window.getComputedStyle(node.parentElement);
-            if (style.display === 'none' || style.visibility === 'hidden') {
-              return NodeFilter.FILTER_REJECT;
-            }
-            // Skip script and style content
-            if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement.tagName)) {
-              return NodeFilter.FILTER_REJECT;
-            }
-            // Only accept non-empty text
-            if (node.textContent.trim().length > 0) {
-              return NodeFilter.FILTER_ACCEPT;
-            }
-            return NodeFilter.FILTER_REJECT;
-          }
-        }
-      );
-
-      const textNodes = [];
-      let wordCount = 0;
-      const maxWords = 1000;
-
-      while (walker.nextNode() && wordCount < maxWords) {
-        const text = walker.currentNode.textContent.trim();
-        const words = text.split(/\s+/).length;
-        textNodes.push({
-          text,
-          wordCount: words,
-        });
-        wordCount += words;
-      }
-
-      return {
-        textNodes,
-        totalWords: wordCount,
-      };
-    },
-  });
-
-  // Combine text for processing
-  const fullText = pageData.textNodes.map(n => n.text).join(' ');
+  // Collect visible text nodes (the content script keeps the node references)
+  const { textNodes } = await chrome.tabs.sendMessage(tabId, { type: 'collectTextNodes' });
+
+  // Combine text for processing, keeping a node map so results can be mapped
+  // back to their node. Nodes of one block are joined as-is, except that a
+  // space goes between nodes of different inline elements that would
+  // otherwise run together ("HomeAbout"); blocks are separated by a newline.
+  const nodes = [];
+  let fullText = '';
+  for (const node of textNodes) {
+    const previous = nodes[nodes.length - 1];
+    if (previous && previous.block !== node.block) {
+      fullText += '\n';
+    } else if (previous && node.separate && !/\s$/.test(fullText) && !/^\s/.test(node.text)) {
+      fullText += ' ';
+    }
+    nodes.push({ id: node.id, block: node.block, start: fullText.length, end: fullText.length + node.text.length });
+    fullText += node.text;
+  }
 
   // Process through AI worker
   const result = await sendToWorker('processText', {
     text: fullText,
-    maxDensity: options.maxDensity || 0.08,
+    // A target reading level replaces the density quota (capped by MAX_DENSITY)
+    maxDensity: options.maxDensity || (options.targetGrade ? CONFIG.MAX_DENSITY : 0.08),
+    nodes,
+    direction: options.direction || Direction.COMPLEXIFY,
+    targetGrade: options.targetGrade ?? null,
+    difficulty: options.difficulty || null,
+    tone: options.tone || null,
+    openVocabulary: !!options.openVocabulary,
+    occurrences: options.occurrences || Occurrences.FIRST,
   });
 
   // Send replacements to content script
@@ -532,7 +568,15 @@ async function loadCustomVocabulary() {
 }
 
 /**
- * Initialize custom vocabulary on startup
+ * Load user gazetteer entries (protected names) from storage
+ */
+async function loadCustomNames() {
+  const { customNames } = await chrome.storage.local.get('customNames');
+  return customNames || [];
+}
+
+/**
+ * Initialize custom vocabulary and protected names on startup
  */
 chrome.runtime.onStartup.addListener(async () => {
   const vocabulary = await loadCustomVocabulary();
@@ -544,6 +588,16 @@ chrome.runtime.onStartup.addListener(async () => {
       console.error('[Background] Failed to load custom vocabulary on startup:', error);
     }
   }
+
+  const entries = await loadCustomNames();
+  if (entries.length > 0) {
+    try {
+      await initializeWorker();
+      await sendToWorker('addGazetteerEntries', { entries });
+    } catch (error) {
+      console.error('[Background] Failed to load protected names on startup:', error);
+    }
+  }
 });
 
 // ============================================================================
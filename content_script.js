@@ -17,6 +17,7 @@
   // ============================================================================
 
   const COMPLEXIFIED_CLASS = 'complexity-injector-word';
+  const EDIT_CLASS = 'complexity-injector-edit';
   const TOOLTIP_CLASS = 'complexity-injector-tooltip';
   const LOADING_CLASS = 'complexity-injector-loading';
   const NOTIFICATION_CLASS = 'complexity-injector-notification';
@@ -28,6 +29,8 @@
   const State = {
     activeTooltip: null,
     replacements: new Map(), // Map of replacement elements to original words
+    edits: new Map(),        // Map of replacement elements to their repair-edit spans
+    pageTextNodes: [],       // Text nodes collected for whole-page mode, by index
   };
 
   // ============================================================================
@@ -158,7 +161,7 @@
     const selection = window.getSelection();
     if (!selection.rangeCount) return;
 
-    const { modifiedText, substitutions, substitutionsMade } = result;
+    const { originalText, substitutions, substitutionsMade } = result;
 
     if (substitutionsMade === 0) {
       showNotification('No substitutions found for selected text', 'info');
@@ -167,8 +170,8 @@
 
     const range = selection.getRangeAt(0);
 
-    // Create a document fragment with the modified text
-    const fragment = createReplacementFragment(modifiedText, substitutions);
+    // Create a document fragment with the substitutions applied
+    const fragment = createReplacementFragment(originalText, substitutions);
 
     // Replace selection
     range.deleteContents();
@@ -181,71 +184,100 @@
   }
 
   /**
-   * Create a document fragment with replaced words wrapped in spans
+   * Flatten substitutions and their repair edits into one list of changes
+   * Each edit keeps a reference to the substitution it belongs to.
    */
-  function createReplacementFragment(text, substitutions) {
-    const fragment = document.createDocumentFragment();
+  function collectChanges(substitutions) {
+    return substitutions.flatMap(sub => [
+      sub,
+      ...(sub.edits || []).map(edit => ({ ...edit, parent: sub })),
+    ]);
+  }
 
-    // Build a map of replacements for quick lookup
-    const replacementMap = new Map();
-    for (const sub of substitutions) {
-      replacementMap.set(sub.replacement.toLowerCase(), sub.original);
+  /**
+   * Create the span for one change
+   * `groups` maps each substitution to the list of its edit spans, which is
+   * attached to the substitution's span so they revert together.
+   */
+  function createChangeSpan(change, originalText, groups) {
+    const sub = change.parent || change;
+    if (!groups.has(sub)) {
+      groups.set(sub, []);
     }
 
-    // Split text and process each word
-    const parts = text.split(/(\s+)/);
-
-    for (const part of parts) {
-      if (/^\s+$/.test(part)) {
-        // Whitespace
-        fragment.appendChild(document.createTextNode(part));
-      } else {
-        // Check if this word is a replacement
-        const cleanWord = part.replace(/^[.,!?;:'\"()-]+|[.,!?;:'\"()-]+$/g, '');
-        const leading = part.match(/^[.,!?;:'\"()-]*/)[0];
-        const trailing = part.match(/[.,!?;:'\"()-]*$/)[0];
-
-        if (replacementMap.has(cleanWord.toLowerCase())) {
-          const original = replacementMap.get(cleanWord.toLowerCase());
-
-          // Add leading punctuation
-          if (leading) {
-            fragment.appendChild(document.createTextNode(leading));
-          }
-
-          // Create span for replaced word
-          const span = document.createElement('span');
-          span.className = COMPLEXIFIED_CLASS;
-          span.textContent = cleanWord;
-          span.dataset.original = original;
+    if (change.parent) {
+      const span = createEditSpan(originalText, change.replacement);
+      groups.get(sub).push(span);
+      return span;
+    }
 
-          // Add event listeners
-          span.addEventListener('mouseenter', () => showTooltip(span, original));
-          span.addEventListener('mouseleave', hideTooltip);
-          span.addEventListener('click', () => revertWord(span, original));
+    const span = createReplacementSpan(originalText, change.replacement);
+    State.edits.set(span, groups.get(sub));
+    return span;
+  }
 
-          fragment.appendChild(span);
-          State.replacements.set(span, original);
+  /**
+   * Create a document fragment from the original text, wrapping each
+   * substitution and repair edit (located by its start/end offsets) in a span
+   */
+  function createReplacementFragment(text, substitutions) {
+    const fragment = document.createDocumentFragment();
+    const ordered = collectChanges(substitutions).sort((a, b) => a.start - b.start);
+    const groups = new Map();
+    let cursor = 0;
 
-          // Add trailing punctuation
-          if (trailing) {
-            fragment.appendChild(document.createTextNode(trailing));
-          }
+    for (const change of ordered) {
+      if (change.start < cursor) continue; // Overlapping change
 
-          // Remove from map so we don't match again
-          replacementMap.delete(cleanWord.toLowerCase());
-        } else {
-          // Regular word
-          fragment.appendChild(document.createTextNode(part));
-        }
+      if (change.start > cursor) {
+        fragment.appendChild(document.createTextNode(text.substring(cursor, change.start)));
       }
+
+      const originalText = text.substring(change.start, change.end);
+      fragment.appendChild(createChangeSpan(change, originalText, groups));
+      cursor = change.end;
+    }
+
+    if (cursor < text.length) {
+      fragment.appendChild(document.createTextNode(text.substring(cursor)));
     }
 
     return fragment;
   }
 
+  /**
+   * Create a span for a replaced word, with tooltip and click-to-revert
+   */
+  function createReplacementSpan(originalWord, replacementWord) {
+    const span = document.createElement('span');
+    span.className = COMPLEXIFIED_CLASS;
+    span.textContent = preserveCase(originalWord, replacementWord);
+    span.dataset.original = originalWord;
+
+    span.addEventListener('mouseenter', () => showTooltip(span, originalWord));
+    span.addEventListener('mouseleave', hideTooltip);
+    span.addEventListener('click', () => revertWord(span, originalWord));
+
+    State.replacements.set(span, originalWord);
+    return span;
+  }
+
+  /**
+   * Create a span for a repair edit (e.g. "a" → "an"); it has no tooltip of
+   * its own and is reverted together with its substitution
+   */
+  function createEditSpan(originalText, replacementText) {
+    const span = document.createElement('span');
+    span.className = EDIT_CLASS;
+    span.textContent = preserveCase(originalText, replacementText);
+    span.dataset.original = originalText;
+    return span;
+  }
+
   /**
    * Apply replacements to the whole page
+   * Each substitution and repair edit names the collected text node (nodeId)
+   * and its offsets inside it (nodeStart/nodeEnd).
    */
   function applyReplacements(substitutions) {
     if (!substitutions || substitutions.length === 0) {
@@ -253,12 +285,34 @@
       return;
     }
 
+    // Group by node so offsets inside each node can be applied right to left
+    const byNode = new Map();
+    for (const change of collectChanges(substitutions)) {
+      if (!byNode.has(change.nodeId)) {
+        byNode.set(change.nodeId, []);
+      }
+      byNode.get(change.nodeId).push(change);
+    }
+
+    // Right to left across nodes too: edits precede their substitution, so
+    // each substitution is applied (or skipped) before its edits
+    const nodeIds = [...byNode.keys()].sort((a, b) => b - a);
+    const groups = new Map();
+    const applied = new Set();
     let count = 0;
 
-    for (const sub of substitutions) {
-      const replaced = replaceWordInDocument(sub.original, sub.replacement);
-      if (replaced) {
-        count++;
+    for (const nodeId of nodeIds) {
+      const node = State.pageTextNodes[nodeId];
+      if (!node || !node.parentNode) continue;
+
+      const changes = byNode.get(nodeId).sort((a, b) => b.nodeStart - a.nodeStart);
+      for (const change of changes) {
+        if (change.parent && !applied.has(change.parent)) continue;
+
+        if (replaceInTextNode(node, change, groups) && !change.parent) {
+          applied.add(change);
+          count++;
+        }
       }
     }
 
@@ -266,85 +320,20 @@
   }
 
   /**
-   * Replace a word throughout the document
+   * Replace one change inside a text node by offset
+   * Skips the change if the node text changed since it was collected.
    */
-  function replaceWordInDocument(originalWord, replacementWord) {
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Skip hidden elements
-          const style = window.getComputedStyle(node.parentElement);
-          if (style.display === 'none' || style.visibility === 'hidden') {
-            return NodeFilter.FILTER_REJECT;
-          }
-          // Skip script and style content
-          if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement.tagName)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          // Skip elements we've already processed
-          if (node.parentElement.classList.contains(COMPLEXIFIED_CLASS)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          // Check if text contains the word
-          const regex = new RegExp(`\\b${escapeRegExp(originalWord)}\\b`, 'i');
-          if (regex.test(node.textContent)) {
-            return NodeFilter.FILTER_ACCEPT;
-          }
-          return NodeFilter.FILTER_REJECT;
-        }
-      }
-    );
-
-    const nodesToReplace = [];
-    while (walker.nextNode()) {
-      nodesToReplace.push(walker.currentNode);
-    }
-
-    // Only replace first occurrence
-    if (nodesToReplace.length === 0) {
+  function replaceInTextNode(node, change, groups) {
+    const matchedText = node.textContent.substring(change.nodeStart, change.nodeEnd);
+    if (matchedText.toLowerCase() !== change.original.toLowerCase()) {
       return false;
     }
 
-    const node = nodesToReplace[0];
-    const regex = new RegExp(`(\\b)(${escapeRegExp(originalWord)})(\\b)`, 'i');
-    const match = node.textContent.match(regex);
-
-    if (!match) return false;
-
-    const matchIndex = match.index + match[1].length;
-    const matchedWord = match[2];
-
-    // Split the text node
-    const before = node.textContent.substring(0, matchIndex);
-    const after = node.textContent.substring(matchIndex + matchedWord.length);
-
-    // Create replacement span
-    const span = document.createElement('span');
-    span.className = COMPLEXIFIED_CLASS;
-    span.textContent = preserveCase(matchedWord, replacementWord);
-    span.dataset.original = matchedWord;
-
-    span.addEventListener('mouseenter', () => showTooltip(span, matchedWord));
-    span.addEventListener('mouseleave', hideTooltip);
-    span.addEventListener('click', () => revertWord(span, matchedWord));
-
-    // Replace the text node
-    const parent = node.parentNode;
-    const fragment = document.createDocumentFragment();
-
-    if (before) {
-      fragment.appendChild(document.createTextNode(before));
-    }
-    fragment.appendChild(span);
-    if (after) {
-      fragment.appendChild(document.createTextNode(after));
-    }
-
-    parent.replaceChild(fragment, node);
-    State.replacements.set(span, matchedWord);
+    // Split off the text after and the change itself; `node` keeps the text before
+    node.splitText(change.nodeEnd);
+    const changeNode = node.splitText(change.nodeStart);
 
+    changeNode.parentNode.replaceChild(createChangeSpan(change, matchedText, groups), changeNode);
     return true;
   }
 
@@ -358,6 +347,14 @@
     span.parentNode.replaceChild(textNode, span);
     State.replacements.delete(span);
 
+    // Revert the repair edits made for this word ("an" → "a")
+    for (const editSpan of State.edits.get(span) || []) {
+      if (editSpan.parentNode) {
+        editSpan.parentNode.replaceChild(document.createTextNode(editSpan.dataset.original), editSpan);
+      }
+    }
+    State.edits.delete(span);
+
     showNotification(`Reverted to "${originalWord}"`, 'info', 2000);
   }
 
@@ -374,18 +371,11 @@
     return div.innerHTML;
   }
 
-  /**
-   * Escape string for use in regex
-   */
-  function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
   /**
    * Preserve case when replacing
    */
   function preserveCase(original, replacement) {
-    if (original === original.toUpperCase()) {
+    if (original.length > 1 && original === original.toUpperCase()) {
       return replacement.toUpperCase();
     }
     if (original[0] === original[0].toUpperCase()) {
@@ -410,8 +400,12 @@
 
       case 'getPageText':
         // Return visible text from the page
-        const text = getVisibleText();
-        sendResponse({ text });
+        sendResponse({ text: collectTextNodes().map(node => node.text).join(' ') });
+        return true; // Async response
+
+      case 'collectTextNodes':
+        // Collect visible text nodes; replacements later refer to them by id
+        sendResponse({ textNodes: collectTextNodes() });
         return true; // Async response
 
       case 'replaceSelection':
@@ -449,9 +443,15 @@
   });
 
   /**
-   * Get visible text from the page
+   * Collect visible text nodes from the page
+   * Stores the nodes in State.pageTextNodes and returns, in document order,
+   * { id, block, text, separate } per node: `id` indexes State.pageTextNodes
+   * and `block` identifies the nearest block-level ancestor. `separate` marks
+   * a node that sits in a different inline element from the previous node of
+   * its block (`<a>Home</a><a>About</a>`), so their texts are not one word;
+   * nodes where one parent contains the other (`un<b>believ</b>able`) aren't.
    */
-  function getVisibleText(maxWords = 1000) {
+  function collectTextNodes(maxWords = 1000) {
     const walker = document.createTreeWalker(
       document.body,
       NodeFilter.SHOW_TEXT,
@@ -464,6 +464,11 @@
           if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement.tagName)) {
             return NodeFilter.FILTER_REJECT;
           }
+          // Skip words we've already replaced
+          if (node.parentElement.classList.contains(COMPLEXIFIED_CLASS) ||
+              node.parentElement.classList.contains(EDIT_CLASS)) {
+            return NodeFilter.FILTER_REJECT;
+          }
           if (node.textContent.trim().length > 0) {
             return NodeFilter.FILTER_ACCEPT;
           }
@@ -472,17 +477,46 @@
       }
     );
 
-    const texts = [];
+    const nodes = [];
+    const blockIds = new Map();
+    const textNodes = [];
     let wordCount = 0;
 
     while (walker.nextNode() && wordCount < maxWords) {
-      const text = walker.currentNode.textContent.trim();
-      const words = text.split(/\s+/).length;
-      texts.push(text);
-      wordCount += words;
+      const node = walker.currentNode;
+      const blockElement = getBlockAncestor(node);
+
+      if (!blockIds.has(blockElement)) {
+        blockIds.set(blockElement, blockIds.size);
+      }
+
+      const previous = nodes[nodes.length - 1];
+      const block = blockIds.get(blockElement);
+      textNodes.push({
+        id: nodes.length,
+        block,
+        text: node.textContent,
+        separate: !!previous && textNodes[textNodes.length - 1].block === block &&
+          !previous.parentElement.contains(node) && !node.parentElement.contains(previous),
+      });
+      nodes.push(node);
+      wordCount += node.textContent.trim().split(/\s+/).length;
     }
 
-    return texts.join(' ');
+    State.pageTextNodes = nodes;
+    return textNodes;
+  }
+
+  /**
+   * Find the nearest ancestor that is not rendered inline
+   */
+  function getBlockAncestor(node) {
+    let element = node.parentElement;
+    while (element && element !== document.body &&
+           window.getComputedStyle(element).display.startsWith('inline')) {
+      element = element.parentElement;
+    }
+    return element;
   }
 
   // ============================================================================
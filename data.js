@@ -23,6 +23,53 @@ const CONFIG = {
   // Paragraph processing
   MAX_DENSITY: 0.50,             // Max 50% of words can be substituted (for testing)
   MAX_WORDS_PER_BATCH: 1000,     // Limit processing to prevent crashes
+
+  // Scoring context (sentence segmentation)
+  CONTEXT_SENTENCES: 0,          // Neighbouring sentences on each side included when scoring
+  MAX_CONTEXT_WORDS: 128,        // Cap on scoring window length (DistilBERT limit is 512 tokens)
+  MASKED_LM_BATCH_SIZE: 4,       // Masked sentences per masked-LM forward pass
+
+  // Word-sense disambiguation
+  SENSE_MARGIN: 0.02,            // Best sense must beat the runner-up by this much to restrict candidates
+
+  // Difficulty tiers (Zipf frequency bands, see WordFrequency)
+  TIER_MODERATE_MIN_ZIPF: 3.5,   // Zipf >= 3.5: moderate ("rapid")
+  TIER_ADVANCED_MIN_ZIPF: 2.5,   // Zipf >= 2.5: advanced ("brisk"); below: obscure ("expeditious")
+
+  // Candidate ranking: weights of the normalized signals (see rankScore)
+  RANK_WEIGHT_SYNTAX: 0.4,       // Masked-LM fit in the sentence
+  RANK_WEIGHT_SEMANTIC: 0.2,     // Context match with the candidate's examples
+  RANK_WEIGHT_SIMILARITY: 0.1,   // Embedding similarity to the original word
+  RANK_WEIGHT_RARITY: 0.3,       // Rarity (commonness when simplifying)
+  RANK_WEIGHT_TONE: 0.3,         // Fit with the selected tone preset (see TonePresets)
+  ZIPF_CEILING: 7.0,             // Zipf of the most frequent words (rarity 0)
+  ZIPF_UNKNOWN: 3.0,             // Zipf assumed when ranking words missing from WordFrequency (mid advanced band)
+
+  // Open vocabulary (model-proposed candidates for words outside the vocabulary)
+  OPEN_VOCAB_TOP_K: 40,          // Most likely whole-word tokens read from the mask distribution
+  OPEN_VOCAB_MAX_CANDIDATES: 5,  // Proposals per position that go through the full pipeline
+  OPEN_VOCAB_MIN_ZIPF_DROP: 0.5, // A proposal must be this much rarer than the original (Zipf)
+
+  // Sentence fluency (pseudo-perplexity of modified vs original sentence)
+  FLUENCY_MAX_PPL_RATIO: 1.5,    // Budget: modified pseudo-perplexity <= 1.5x the original's
+  FLUENCY_MIN_SUBSTITUTIONS: 2,  // Only check sentences with this many substitutions (single ones pass the syntax layer)
+
+  // Repetition avoidance (per processed document)
+  REPETITION_WINDOW: 150,        // Words back in which an earlier use of a replacement counts (0 = off)
+  REPETITION_PENALTY: 0.15,      // Subtracted from rankScore per recent use of the same replacement
+
+  // Idiom patterns (see IdiomDatabase)
+  IDIOM_MAX_GAP: 3,              // Most words a "..." gap in an idiom pattern spans
+
+  // Antonym polarity (model-assisted check along AntonymScales)
+  POLARITY_MIN: 0.15,            // Both words must lean this far (cosine with a scale axis) for a flip to count
+
+  // Negation scope (see pipeline/negation.js)
+  NEGATION_SCOPE_WORDS: 6,       // Most words between a negator and a target it governs
+
+  // Collocation plausibility (candidate vs its immediate neighbours, see pipeline/collocations.js)
+  COLLOCATION_WINDOW: 2,         // Words searched on each side for the nearest content word
+  COLLOCATION_FLOOR: -3.0,       // Lowest allowed change in a neighbour's masked-LM log-prob (candidate vs original)
 };
 
 // ============================================================================
@@ -36,15 +83,63 @@ const BlockReason = {
   PROPER_NOUN: 'PROPER_NOUN',
   IDIOM_DETECTED: 'IDIOM_DETECTED',
   NEGATION_CONTEXT: 'NEGATION_CONTEXT',
+  POS_MISMATCH: 'POS_MISMATCH',
+  WRONG_SENSE: 'WRONG_SENSE',
   SYNTAX_FAILED: 'SYNTAX_FAILED',
   SEMANTIC_FAILED: 'SEMANTIC_FAILED',
   NOT_IN_VOCAB: 'NOT_IN_VOCAB',
   MODEL_NOT_READY: 'MODEL_NOT_READY',
+  FLUENCY_ROLLBACK: 'FLUENCY_ROLLBACK',
+  COLLOCATION_IMPLAUSIBLE: 'COLLOCATION_IMPLAUSIBLE',
+};
+
+// ============================================================================
+// DIRECTION (Enum equivalent)
+// complexify: simple → GRE words; simplify: GRE → simple words (inverted vocabulary)
+// ============================================================================
+const Direction = {
+  COMPLEXIFY: 'complexify',
+  SIMPLIFY: 'simplify',
+};
+
+// ============================================================================
+// DIFFICULTY TIER (Enum equivalent)
+// Frequency band of a candidate word; users pick the band they prefer
+// ============================================================================
+const DifficultyTier = {
+  MODERATE: 'moderate',
+  ADVANCED: 'advanced',
+  OBSCURE: 'obscure',
+};
+
+// ============================================================================
+// TONE (Enum equivalent)
+// Register presets for complexify (see TonePresets)
+// ============================================================================
+const Tone = {
+  ACADEMIC: 'academic',
+  LITERARY: 'literary',
+  LEGALESE: 'legalese',
+  ARCHAIC: 'archaic',
+};
+
+// ============================================================================
+// OCCURRENCES (Enum equivalent)
+// Which occurrences of a repeated word are replaced, and with what
+// ============================================================================
+const Occurrences = {
+  FIRST: 'first',           // Only the first occurrence
+  CONSISTENT: 'consistent', // Every occurrence, same replacement wherever it passes
+  VARIED: 'varied',         // Every occurrence, rotating passing candidates
 };
 
 // ============================================================================
 // GRE VOCABULARY DATABASE
-// Schema: { simple_word: [{ word, pos, domain, definition, examples }] }
+// Schema: { simple_word: [{ word, pos, sense?, register?, domain, definition, examples }] }
+// `register` (optional) overrides the word's tags in RegisterTags.
+// `sense` groups the candidates of a polysemous word ("hard": difficult vs
+// firm); the pipeline picks the sense whose examples best match the context.
+// Keys may be phrases ("very big", "look into"), replaced as one unit.
 // ============================================================================
 const GREVocabularyDatabase = {
   // Temperature
@@ -133,10 +228,13 @@ const GREVocabularyDatabase = {
     { word: "laborious", pos: "adj", domain: "mental", definition: "requiring much time and effort", examples: ["The laborious process took months.", "A laborious task was completed.", "The laborious research paid off."] },
   ],
   "hard": [
-    { word: "challenging", pos: "adj", domain: "mental", definition: "testing one's abilities", examples: ["The challenging exam stumped many.", "A challenging problem emerged.", "The challenging situation required creativity."] },
-    { word: "demanding", pos: "adj", domain: "mental", definition: "requiring much skill or effort", examples: ["The demanding boss expected perfection.", "A demanding schedule left no time.", "The demanding role tested her skills."] },
-    { word: "rigorous", pos: "adj", domain: "mental", definition: "extremely thorough and demanding", examples: ["The rigorous training prepared them.", "A rigorous analysis was conducted.", "The rigorous standards ensured quality."] },
-    { word: "grueling", pos: "adj", domain: "physical", definition: "extremely tiring and demanding", examples: ["The grueling marathon tested endurance.", "A grueling schedule wore them down.", "The grueling work finally ended."] },
+    { word: "challenging", pos: "adj", sense: "difficult", domain: "mental", definition: "testing one's abilities", examples: ["The challenging exam stumped many.", "A challenging problem emerged.", "The challenging situation required creativity."] },
+    { word: "demanding", pos: "adj", sense: "difficult", domain: "mental", definition: "requiring much skill or effort", examples: ["The demanding boss expected perfection.", "A demanding schedule left no time.", "The demanding role tested her skills."] },
+    { word: "rigorous", pos: "adj", sense: "difficult", domain: "mental", definition: "extremely thorough and demanding", examples: ["The rigorous training prepared them.", "A rigorous analysis was conducted.", "The rigorous standards ensured quality."] },
+    { word: "grueling", pos: "adj", sense: "difficult", domain: "physical", definition: "extremely tiring and demanding", examples: ["The grueling marathon tested endurance.", "A grueling schedule wore them down.", "The grueling work finally ended."] },
+    { word: "rigid", pos: "adj", sense: "firm", domain: "physical", definition: "unable to bend or be forced out of shape", examples: ["The rigid frame held its shape.", "A rigid plastic case protected the phone.", "The rigid ground cracked the shovel."] },
+    { word: "unyielding", pos: "adj", sense: "firm", domain: "physical", definition: "not giving way to pressure; solid", examples: ["The unyielding rock broke the drill.", "An unyielding surface lay beneath the sand.", "The unyielding wall stopped the car."] },
+    { word: "adamantine", pos: "adj", sense: "firm", domain: "physical", definition: "unbreakable, extremely hard", examples: ["The adamantine shell resisted every blow.", "An adamantine layer of ice covered the lake.", "The adamantine stone dulled the chisel."] },
   ],
   "easy": [
     { word: "effortless", pos: "adj", domain: "mental", definition: "requiring no effort", examples: ["The effortless grace impressed judges.", "An effortless victory was achieved.", "She made it look effortless."] },
@@ -158,6 +256,12 @@ const GREVocabularyDatabase = {
     { word: "somber", pos: "adj", domain: "light", definition: "dark or dull in color", examples: ["The somber clouds gathered.", "A somber mood pervaded.", "The somber occasion called for silence."] },
     { word: "tenebrous", pos: "adj", domain: "light", definition: "dark, shadowy", examples: ["The tenebrous forest was forbidding.", "A tenebrous atmosphere surrounded the castle.", "The tenebrous corners hid secrets."] },
   ],
+  "light": [
+    { word: "weightless", pos: "adj", sense: "weight", domain: "physical", definition: "having little or no weight", examples: ["The weightless package was easy to carry.", "A weightless blanket covered the bed.", "The weightless feather drifted down."] },
+    { word: "gossamer", pos: "adj", sense: "weight", domain: "physical", definition: "very light, thin and delicate", examples: ["The gossamer fabric floated in the breeze.", "A gossamer veil covered her face.", "The gossamer wings of the insect shimmered."] },
+    { word: "luminous", pos: "adj", sense: "brightness", domain: "light", definition: "full of or shedding light", examples: ["The luminous room faced the morning sun.", "A luminous hallway led to the garden.", "The luminous studio was perfect for painting."] },
+    { word: "sunlit", pos: "adj", sense: "brightness", domain: "light", definition: "lit by the sun, bright", examples: ["The sunlit kitchen felt warm.", "A sunlit meadow stretched before them.", "The sunlit office overlooked the park."] },
+  ],
 
   // Movement
   "walk": [
@@ -218,10 +322,12 @@ const GREVocabularyDatabase = {
 
   // Temporal
   "old": [
-    { word: "ancient", pos: "adj", domain: "temporal", definition: "belonging to the very distant past", examples: ["The ancient ruins attracted tourists.", "An ancient tradition continued.", "The ancient civilization left artifacts."] },
-    { word: "antiquated", pos: "adj", domain: "temporal", definition: "old-fashioned or outdated", examples: ["The antiquated system needed updating.", "An antiquated law was reformed.", "The antiquated equipment was replaced."] },
-    { word: "archaic", pos: "adj", domain: "temporal", definition: "very old or old-fashioned", examples: ["The archaic language was difficult.", "An archaic custom persisted.", "The archaic methods were abandoned."] },
-    { word: "venerable", pos: "adj", domain: "temporal", definition: "accorded great respect because of age", examples: ["The venerable institution celebrated.", "A venerable leader was honored.", "The venerable tradition continued."] },
+    { word: "ancient", pos: "adj", sense: "dated", domain: "temporal", definition: "belonging to the very distant past", examples: ["The ancient ruins attracted tourists.", "An ancient tradition continued.", "The ancient civilization left artifacts."] },
+    { word: "antiquated", pos: "adj", sense: "dated", domain: "temporal", definition: "old-fashioned or outdated", examples: ["The antiquated system needed updating.", "An antiquated law was reformed.", "The antiquated equipment was replaced."] },
+    { word: "archaic", pos: "adj", sense: "dated", domain: "temporal", definition: "very old or old-fashioned", examples: ["The archaic language was difficult.", "An archaic custom persisted.", "The archaic methods were abandoned."] },
+    { word: "venerable", pos: "adj", sense: "aged", domain: "temporal", definition: "accorded great respect because of age", examples: ["The venerable institution celebrated.", "A venerable leader was honored.", "The venerable tradition continued."] },
+    { word: "elderly", pos: "adj", sense: "aged", domain: "temporal", definition: "old or aging, of a person", examples: ["The elderly man walked with a cane.", "An elderly neighbor waved from her porch.", "The elderly couple celebrated fifty years together."] },
+    { word: "hoary", pos: "adj", sense: "aged", domain: "temporal", definition: "grey or white with age", examples: ["The hoary old sailor told stories.", "A hoary beard covered his chin.", "The hoary professor had taught for decades."] },
   ],
   "new": [
     { word: "novel", pos: "adj", domain: "temporal", definition: "new and original", examples: ["The novel approach surprised everyone.", "A novel idea emerged.", "The novel technique was patented."] },
@@ -258,10 +364,12 @@ const GREVocabularyDatabase = {
     { word: "vital", pos: "adj", domain: "quality", definition: "absolutely necessary", examples: ["Vital information was shared.", "A vital component was missing.", "The vital signs were stable."] },
   ],
   "clear": [
-    { word: "lucid", pos: "adj", domain: "mental", definition: "expressed clearly, easy to understand", examples: ["The lucid explanation helped.", "A lucid moment came to him.", "The lucid writing impressed readers."] },
-    { word: "transparent", pos: "adj", domain: "quality", definition: "easy to perceive or detect", examples: ["The transparent motives were obvious.", "A transparent process was established.", "The transparent material allowed light through."] },
-    { word: "explicit", pos: "adj", domain: "quality", definition: "stated clearly and in detail", examples: ["The explicit instructions were helpful.", "An explicit warning was given.", "The explicit content was restricted."] },
-    { word: "unambiguous", pos: "adj", domain: "quality", definition: "not open to more than one interpretation", examples: ["The unambiguous message was received.", "An unambiguous statement was made.", "The unambiguous results confirmed the theory."] },
+    { word: "lucid", pos: "adj", sense: "understandable", domain: "mental", definition: "expressed clearly, easy to understand", examples: ["The lucid explanation helped.", "A lucid moment came to him.", "The lucid writing impressed readers."] },
+    { word: "transparent", pos: "adj", sense: "understandable", domain: "quality", definition: "easy to perceive or detect", examples: ["The transparent motives were obvious.", "A transparent process was established.", "The transparent material allowed light through."] },
+    { word: "explicit", pos: "adj", sense: "understandable", domain: "quality", definition: "stated clearly and in detail", examples: ["The explicit instructions were helpful.", "An explicit warning was given.", "The explicit content was restricted."] },
+    { word: "unambiguous", pos: "adj", sense: "understandable", domain: "quality", definition: "not open to more than one interpretation", examples: ["The unambiguous message was received.", "An unambiguous statement was made.", "The unambiguous results confirmed the theory."] },
+    { word: "limpid", pos: "adj", sense: "see-through", domain: "physical", definition: "completely clear and transparent", examples: ["The limpid water revealed the stones below.", "A limpid pool reflected the trees.", "The limpid stream ran over the pebbles."] },
+    { word: "pellucid", pos: "adj", sense: "see-through", domain: "physical", definition: "translucently clear", examples: ["The pellucid lake shimmered in the sun.", "A pellucid sky stretched above the hills.", "The pellucid glass showed every flaw."] },
   ],
   "secret": [
     { word: "clandestine", pos: "adj", domain: "quality", definition: "kept secret or done secretively", examples: ["The clandestine meeting was held.", "A clandestine operation was conducted.", "The clandestine affair was discovered."] },
@@ -269,6 +377,213 @@ const GREVocabularyDatabase = {
     { word: "surreptitious", pos: "adj", domain: "quality", definition: "kept secret because disapproved of", examples: ["The surreptitious entry was detected.", "A surreptitious look was cast.", "The surreptitious recording was illegal."] },
     { word: "furtive", pos: "adj", domain: "quality", definition: "attempting to avoid notice", examples: ["The furtive glance betrayed him.", "A furtive movement was spotted.", "The furtive behavior aroused suspicion."] },
   ],
+
+  // Phrases: replaced as one unit, the head word may be inflected ("looked into")
+  "very big": [
+    { word: "colossal", pos: "adj", domain: "size", definition: "extremely large", examples: ["The colossal statue towered over the harbor.", "A colossal wave crashed onto the shore.", "The colossal building dominated the skyline."] },
+    { word: "gargantuan", pos: "adj", domain: "size", definition: "enormous", examples: ["The gargantuan meal fed the whole village.", "A gargantuan task lay ahead of them.", "The gargantuan ship barely fit in the port."] },
+  ],
+  "very small": [
+    { word: "infinitesimal", pos: "adj", domain: "size", definition: "extremely small", examples: ["The infinitesimal particles escaped the filter.", "An infinitesimal chance of success remained.", "The infinitesimal difference went unnoticed."] },
+    { word: "microscopic", pos: "adj", domain: "size", definition: "so small as to be visible only with a microscope", examples: ["The microscopic organisms thrived in the pond.", "A microscopic crack weakened the beam.", "The microscopic print was hard to read."] },
+  ],
+  "very happy": [
+    { word: "ecstatic", pos: "adj", domain: "emotional", definition: "feeling overwhelming happiness", examples: ["The ecstatic fans cheered the victory.", "She was ecstatic about the news.", "An ecstatic crowd filled the streets."] },
+    { word: "euphoric", pos: "adj", domain: "emotional", definition: "intensely happy and excited", examples: ["The euphoric team celebrated all night.", "A euphoric mood swept the office.", "He felt euphoric after the race."] },
+  ],
+  "very bad": [
+    { word: "atrocious", pos: "adj", domain: "quality", definition: "horrifyingly bad", examples: ["The atrocious weather ruined the trip.", "An atrocious performance disappointed the fans.", "The atrocious food went uneaten."] },
+    { word: "abysmal", pos: "adj", domain: "quality", definition: "extremely bad", examples: ["The abysmal results alarmed the board.", "An abysmal showing cost them the title.", "The abysmal service drove customers away."] },
+  ],
+  "very cold": [
+    { word: "frigid", pos: "adj", domain: "physical", definition: "extremely cold", examples: ["The frigid air froze their breath.", "She shivered in the frigid water.", "The frigid temperatures broke records."] },
+    { word: "glacial", pos: "adj", domain: "physical", definition: "icy cold", examples: ["The glacial wind cut through their coats.", "A glacial lake lay beneath the peaks.", "The glacial night kept everyone indoors."] },
+  ],
+  "look into": [
+    { word: "investigate", pos: "verb", domain: "mental", definition: "examine systematically to establish the truth", examples: ["The police will investigate the theft.", "She investigated the cause of the leak.", "They investigate every complaint."] },
+    { word: "scrutinize", pos: "verb", domain: "mental", definition: "examine closely and thoroughly", examples: ["The editor will scrutinize the manuscript.", "He scrutinized the contract before signing.", "Auditors scrutinize the accounts each year."] },
+    { word: "probe", pos: "verb", domain: "mental", definition: "explore or examine thoroughly", examples: ["The committee will probe the decision.", "Reporters probed the senator's finances.", "Scientists probe the depths of the ocean."] },
+  ],
+  "figure out": [
+    { word: "decipher", pos: "verb", domain: "mental", definition: "succeed in understanding or interpreting", examples: ["She could not decipher his handwriting.", "They deciphered the ancient code.", "He tried to decipher the instructions."] },
+    { word: "ascertain", pos: "verb", domain: "mental", definition: "find out for certain", examples: ["The doctor tried to ascertain the cause.", "We must ascertain the facts first.", "Investigators ascertained the time of the fire."] },
+    { word: "deduce", pos: "verb", domain: "mental", definition: "arrive at by reasoning", examples: ["The detective deduced the culprit's identity.", "We can deduce the answer from the clues.", "She deduced that he had left early."] },
+  ],
+};
+
+// ============================================================================
+// WORD FREQUENCY LIST
+// Zipf frequency (log10 of occurrences per billion words) of vocabulary
+// words; 6+ is very common ("good"), below 2.5 is rare ("expeditious").
+// Approximate values from large English web/subtitle corpora. Covers the
+// vocabulary plus common general words, so candidates from custom vocabulary
+// are usually ranked by their real frequency.
+// ============================================================================
+const WordFrequency = {
+  hot: 5.2, scalding: 2.9, sweltering: 2.5, torrid: 2.4, scorching: 3.1,
+  cold: 5.1, frigid: 2.8, glacial: 2.9, arctic: 3.9, frosty: 3.0,
+  big: 5.7, enormous: 4.3, colossal: 3.1, immense: 3.7, mammoth: 3.2, gargantuan: 2.3,
+  small: 5.5, minuscule: 2.5, diminutive: 2.4, microscopic: 3.2, infinitesimal: 2.1,
+  fast: 5.1, rapid: 4.3, swift: 4.0, expeditious: 1.7, brisk: 3.1,
+  slow: 4.9, sluggish: 3.0, lethargic: 2.7, leisurely: 2.9, gradual: 3.5,
+  good: 6.4, excellent: 4.7, superb: 3.9, exemplary: 3.2, outstanding: 4.2, impeccable: 3.1,
+  bad: 5.7, atrocious: 2.8, deplorable: 2.8, abysmal: 2.9, dreadful: 3.4, appalling: 3.3,
+  happy: 5.6, elated: 2.7, jubilant: 2.4, ecstatic: 3.0, euphoric: 2.6, exuberant: 2.6,
+  sad: 5.0, melancholy: 3.2, despondent: 2.3, morose: 2.2, forlorn: 2.4, woeful: 2.4,
+  difficult: 5.0, arduous: 2.7, formidable: 3.4, onerous: 2.7, strenuous: 2.8, laborious: 2.4,
+  hard: 5.6, challenging: 4.3, demanding: 4.0, rigorous: 3.6, grueling: 2.8,
+  rigid: 3.6, unyielding: 2.5, adamantine: 1.6,
+  easy: 5.4, effortless: 3.0, straightforward: 3.8, facile: 2.2, elementary: 3.7,
+  bright: 4.7, luminous: 3.0, radiant: 3.2, brilliant: 4.6, resplendent: 2.0,
+  dark: 5.2, murky: 3.0, shadowy: 2.9, somber: 2.6, tenebrous: 1.0,
+  light: 5.4, weightless: 2.4, gossamer: 2.2, sunlit: 2.4,
+  walk: 5.2, saunter: 1.9, stroll: 3.2, amble: 1.9, trudge: 2.2,
+  run: 5.6, sprint: 3.6, dash: 3.9, bolt: 3.7, scurry: 2.1,
+  think: 6.3, contemplate: 3.1, ponder: 3.0, deliberate: 3.4, ruminate: 2.0, cogitate: 1.0,
+  understand: 5.5, comprehend: 3.2, fathom: 2.8, discern: 2.8, grasp: 3.7,
+  strong: 5.3, robust: 3.9, stalwart: 2.6, sturdy: 3.1,
+  weak: 4.6, frail: 2.9, feeble: 2.9, fragile: 3.6, debilitated: 2.0,
+  true: 5.6, authentic: 3.9, genuine: 4.1, veritable: 2.5, bona: 2.7, fide: 2.7,
+  false: 4.7, spurious: 2.6, fraudulent: 3.3, counterfeit: 3.3, bogus: 3.3,
+  old: 5.8, ancient: 4.4, antiquated: 2.4, archaic: 2.9, venerable: 2.8, elderly: 4.0, hoary: 1.9,
+  new: 6.2, novel: 4.3, innovative: 4.0, nascent: 2.6, unprecedented: 3.8,
+  beautiful: 5.4, exquisite: 3.2, stunning: 4.1, gorgeous: 4.3, ravishing: 2.2,
+  ugly: 4.4, grotesque: 3.0, hideous: 3.1, repulsive: 2.5, unsightly: 2.3,
+  strange: 4.8, peculiar: 3.4, bizarre: 4.0, anomalous: 2.4, eccentric: 3.1,
+  important: 5.6, crucial: 4.4, pivotal: 3.5, paramount: 3.4, vital: 4.3,
+  clear: 5.3, lucid: 2.8, transparent: 3.9, explicit: 3.8, unambiguous: 2.5, limpid: 1.4, pellucid: 0.9,
+  secret: 5.0, clandestine: 2.6, covert: 3.2, surreptitious: 2.1, furtive: 2.1,
+  very: 6.2, look: 6.0, into: 6.3, figure: 4.9, out: 6.5,
+  investigate: 4.0, scrutinize: 2.4, probe: 3.7, decipher: 2.6, ascertain: 2.7, deduce: 2.3,
+
+  // General words
+  able: 5.3, angry: 4.6, answer: 5.0, area: 5.3, argue: 4.1, ask: 5.6, aware: 4.6,
+  basic: 4.7, begin: 5.0, believe: 5.5, best: 5.9, better: 5.8, brave: 4.4, brief: 4.4,
+  broad: 4.3, build: 5.2, busy: 4.8, calm: 4.5, careful: 4.6, certain: 5.0, cheap: 4.6,
+  clever: 4.2, close: 5.4, common: 4.9, complex: 4.6, complete: 4.9, correct: 4.7,
+  curious: 4.2, damp: 3.6, dangerous: 4.8, dead: 5.3, deep: 5.0, delicate: 3.8,
+  dense: 3.9, dirty: 4.6, dull: 3.9, eager: 4.0, early: 5.3, empty: 4.7, entire: 4.9,
+  evident: 3.8, exact: 4.6, famous: 4.7, fancy: 4.3, fierce: 4.0, fine: 5.4, firm: 4.5,
+  flat: 4.6, foolish: 3.8, free: 5.6, fresh: 4.8, friendly: 4.6, full: 5.4, funny: 5.0,
+  gentle: 4.2, giant: 4.6, glad: 4.9, grand: 4.7, great: 6.0, harsh: 4.0, heavy: 4.8,
+  high: 5.6, holy: 4.7, honest: 4.7, huge: 5.1, humble: 4.1, intelligent: 4.2, kind: 5.6,
+  large: 5.2, late: 5.3, lazy: 4.3, little: 5.9, loud: 4.6, lovely: 4.8, low: 5.2,
+  lucky: 4.8, main: 5.2, massive: 4.6, mean: 5.6, mild: 4.0, modern: 4.8, narrow: 4.1,
+  neat: 4.3, nice: 5.6, noble: 4.2, normal: 5.0, obvious: 4.6, odd: 4.5, plain: 4.4,
+  pleasant: 4.2, polite: 3.9, poor: 5.0, pretty: 5.6, proud: 4.9, quick: 5.0, quiet: 4.8,
+  rare: 4.6, real: 5.8, rich: 5.0, rough: 4.5, rude: 4.3, safe: 5.1, serious: 5.1,
+  sharp: 4.5, short: 5.1, silly: 4.6, simple: 5.1, smart: 4.9, smooth: 4.4, soft: 4.7,
+  solid: 4.6, special: 5.4, steady: 4.2, stiff: 4.0, stupid: 5.1, sudden: 4.3,
+  sure: 6.0, sweet: 5.0, tall: 4.6, terrible: 5.0, thick: 4.5, thin: 4.5, tiny: 4.7,
+  tired: 4.8, tough: 4.8, typical: 4.5, unusual: 4.4, useful: 4.7, warm: 4.8, wealthy: 4.0,
+  weird: 5.0, whole: 5.6, wide: 4.9, wild: 4.9, wise: 4.5, wonderful: 5.0, wrong: 5.6,
+  young: 5.5, examine: 4.0, explore: 4.4, find: 6.0, know: 6.6, learn: 5.4, realize: 4.9,
+  see: 6.4, solve: 4.4, study: 5.1, check: 5.6, hurry: 4.5, rush: 4.6, race: 5.0,
+  wander: 3.9, march: 5.1, stride: 3.6, hike: 4.1, roam: 3.4, consider: 5.0, reflect: 4.3,
+  wonder: 5.0, imagine: 5.1, suppose: 4.9, reason: 5.5, idea: 5.5, thought: 5.6,
+  frozen: 4.3, icy: 3.6, chilly: 3.5, freezing: 4.1, warmth: 4.0, heat: 5.0,
+
+  // Less common general words (open-vocabulary proposals)
+  vast: 4.3, considerable: 4.2, substantial: 4.3, significant: 4.8, remarkable: 4.2,
+  notable: 4.2, profound: 3.9, intense: 4.4, severe: 4.5, acute: 3.9, extensive: 4.3,
+  numerous: 4.4, ample: 3.6, abundant: 3.7, meager: 2.8, scant: 2.8, sparse: 3.3,
+  vivid: 3.8, keen: 4.0, fervent: 2.8, ardent: 2.8, zealous: 2.5, tranquil: 3.1,
+  serene: 3.2, placid: 2.4, solemn: 3.3, austere: 2.8, stern: 3.6, grim: 3.8,
+  bleak: 3.5, dismal: 3.1, gloomy: 3.3, dreary: 2.9, weary: 3.5, fatigued: 2.7,
+  jovial: 2.4, cheerful: 3.8, content: 4.8, merry: 4.0, glum: 2.4, sullen: 2.6,
+  vigorous: 3.4, hasty: 3.1, prompt: 4.1, agile: 3.5, nimble: 2.9, deft: 2.5,
+  cunning: 3.3, shrewd: 3.0, prudent: 3.1, candid: 3.2, frank: 4.3, earnest: 3.3,
+  sincere: 3.8, humid: 3.3, arid: 3.2, barren: 3.3, fertile: 3.7, lush: 3.5,
+  pristine: 3.5, immaculate: 3.0, meticulous: 3.2, diligent: 3.2, tedious: 3.3,
+  trivial: 3.8, mundane: 3.4, ordinary: 4.4, obscure: 3.6, ambiguous: 3.4,
+  intricate: 3.3, elaborate: 3.7, concise: 3.3, verbose: 2.7, eminent: 3.2,
+  prominent: 4.1, renowned: 3.8, illustrious: 2.8, obsolete: 3.4, outdated: 3.6,
+  perpetual: 3.3, transient: 3.0, fleeting: 3.1, abrupt: 3.2, imminent: 3.5,
+  inevitable: 4.0, plausible: 3.5, dubious: 3.4, feasible: 3.5, adequate: 4.0,
+  hostile: 4.1, benign: 3.5, malicious: 3.7, vicious: 3.9, docile: 2.6, timid: 3.0,
+  bold: 4.3, audacious: 2.9, reckless: 3.7, cautious: 3.8, wary: 3.4, vigilant: 3.3,
+  gaze: 3.8, glance: 3.8, peer: 4.1, observe: 4.1, perceive: 3.7, inspect: 3.6,
+  seize: 3.7, clutch: 3.6, devour: 3.1, linger: 3.3, dwell: 3.5, hasten: 2.7,
+  depart: 3.3, commence: 3.2, cease: 3.6, endure: 3.6, prevail: 3.5, diminish: 3.4,
+  augment: 2.9, bolster: 3.0, hinder: 3.1, impede: 2.7, mitigate: 3.2, exacerbate: 3.0,
+  assert: 3.6, contend: 3.4, remark: 3.6, inquire: 3.2, murmur: 3.1, mutter: 3.0,
+  edifice: 2.4, abode: 2.9, dwelling: 3.3, vessel: 4.0, steed: 2.6, hound: 3.6,
+  realm: 4.0, domain: 4.3, peril: 3.1, plight: 3.2, dilemma: 3.6, quandary: 2.5,
+};
+
+// ============================================================================
+// REGISTER TAGS
+// Registers each candidate word is typical of; a word may have several
+// ============================================================================
+const RegisterTags = {
+  academic: [
+    "comprehend", "ascertain", "deduce", "investigate", "scrutinize", "discern",
+    "contemplate", "deliberate", "anomalous", "unprecedented", "innovative", "explicit",
+    "unambiguous", "paramount", "pivotal", "crucial", "rigorous", "robust", "elementary",
+    "straightforward", "exemplary", "novel", "nascent", "microscopic", "infinitesimal",
+    "transparent", "lucid", "spurious", "formidable", "gradual", "rapid", "immense",
+    "peculiar", "challenging", "demanding", "probe", "decipher", "fathom",
+  ],
+  literary: [
+    "melancholy", "forlorn", "woeful", "despondent", "morose", "jubilant", "elated",
+    "exuberant", "resplendent", "luminous", "radiant", "tenebrous", "shadowy", "murky",
+    "somber", "gossamer", "sunlit", "weightless", "saunter", "amble", "stroll", "trudge",
+    "scurry", "ruminate", "ponder", "exquisite", "ravishing", "grotesque", "hideous",
+    "colossal", "gargantuan", "diminutive", "sweltering", "scorching", "torrid", "frigid",
+    "glacial", "frosty", "limpid", "pellucid", "venerable", "swift", "frail", "feeble",
+    "furtive", "surreptitious", "ecstatic", "euphoric", "hoary", "unyielding",
+  ],
+  poetic: [
+    "gossamer", "limpid", "pellucid", "resplendent", "tenebrous", "hoary", "sunlit",
+    "woeful", "forlorn",
+  ],
+  legal: [
+    "fraudulent", "counterfeit", "spurious", "bona fide", "explicit", "unambiguous",
+    "covert", "clandestine", "ascertain", "deliberate", "expeditious", "onerous",
+    "paramount", "veritable", "authentic", "genuine", "deplorable", "investigate",
+    "scrutinize", "pivotal", "crucial", "vital", "rigid", "unyielding",
+  ],
+  formal: [
+    "expeditious", "onerous", "arduous", "laborious", "strenuous", "comprehend",
+    "ascertain", "deplorable", "appalling", "atrocious", "impeccable", "exemplary",
+    "elderly", "antiquated", "facile", "cogitate", "effortless", "discern",
+  ],
+  archaic: [
+    "hoary", "adamantine", "cogitate", "woeful", "tenebrous", "forlorn", "venerable",
+    "limpid", "pellucid", "resplendent", "veritable", "morose",
+  ],
+  colloquial: [
+    "bogus", "dash", "bolt", "gorgeous", "stunning", "bizarre", "grueling",
+  ],
+};
+
+// ============================================================================
+// TONE PRESETS
+// registers: preferred register tags (full tone weight)
+// domains:   preferred candidate domains (half tone weight), null = any
+// exclude:   registers that clash with the tone; such candidates are dropped
+// ============================================================================
+const TonePresets = {
+  [Tone.ACADEMIC]: {
+    registers: ["academic", "formal"],
+    domains: ["mental", "quality"],
+    exclude: ["archaic", "poetic", "colloquial"],
+  },
+  [Tone.LITERARY]: {
+    registers: ["literary", "poetic"],
+    domains: ["emotional", "light", "movement", "physical"],
+    exclude: ["legal", "colloquial"],
+  },
+  [Tone.LEGALESE]: {
+    registers: ["legal", "formal"],
+    domains: ["quality", "mental", "temporal"],
+    exclude: ["poetic", "archaic", "colloquial"],
+  },
+  [Tone.ARCHAIC]: {
+    registers: ["archaic", "poetic"],
+    domains: null,
+    exclude: ["academic", "colloquial"],
+  },
 };
 
 // ============================================================================
@@ -333,98 +648,237 @@ const AntonymPairs = [
   ["open", "closed"], ["visible", "invisible"],
 ];
 
+// ============================================================================
+// ANTONYM SCALES
+// Gradable scales as two opposing groups (hot ↔ warm ↔ cool ↔ cold): any word
+// of `low` is an antonym of any word of `high`, words on one side are not.
+// Each scale is also a polarity axis for the model-assisted check (see
+// checkPolarity in pipeline.js), so keep ambiguous words out.
+// ============================================================================
+const AntonymScales = [
+  {
+    name: "temperature",
+    low: ["cold", "cool", "chilly", "frigid", "freezing", "icy", "glacial", "arctic", "frosty", "wintry"],
+    high: ["hot", "warm", "scalding", "sweltering", "torrid", "scorching", "balmy", "sultry", "blistering"],
+  },
+  {
+    name: "size",
+    low: ["small", "little", "tiny", "minuscule", "diminutive", "microscopic", "infinitesimal", "petite"],
+    high: ["big", "large", "huge", "enormous", "colossal", "immense", "mammoth", "gargantuan", "vast", "gigantic"],
+  },
+  {
+    name: "speed",
+    low: ["slow", "sluggish", "lethargic", "leisurely", "gradual", "unhurried", "plodding"],
+    high: ["fast", "quick", "rapid", "swift", "brisk", "expeditious", "fleet", "hasty"],
+  },
+  {
+    name: "quality",
+    low: ["bad", "terrible", "awful", "atrocious", "deplorable", "abysmal", "dreadful", "inferior"],
+    high: ["good", "excellent", "superb", "exemplary", "outstanding", "impeccable", "great", "superior"],
+  },
+  {
+    name: "mood",
+    low: ["sad", "unhappy", "miserable", "despondent", "morose", "melancholy", "forlorn", "dejected"],
+    high: ["happy", "glad", "cheerful", "elated", "jubilant", "ecstatic", "euphoric", "joyful"],
+  },
+  {
+    name: "brightness",
+    low: ["dark", "dim", "murky", "tenebrous", "shadowy", "somber"],
+    high: ["bright", "luminous", "radiant", "brilliant", "resplendent", "vivid"],
+  },
+  {
+    name: "strength",
+    low: ["weak", "frail", "feeble", "fragile", "debilitated", "flimsy"],
+    high: ["strong", "robust", "stalwart", "sturdy", "powerful", "mighty"],
+  },
+  {
+    name: "difficulty",
+    low: ["easy", "effortless", "simple", "facile", "elementary", "straightforward"],
+    high: ["difficult", "hard", "arduous", "onerous", "laborious", "demanding"],
+  },
+  {
+    name: "age",
+    low: ["old", "ancient", "antiquated", "archaic", "hoary", "aged"],
+    high: ["new", "young", "modern", "novel", "youthful", "nascent"],
+  },
+  {
+    name: "appearance",
+    low: ["ugly", "hideous", "grotesque", "repulsive", "unsightly"],
+    high: ["beautiful", "pretty", "gorgeous", "exquisite", "stunning", "ravishing", "lovely"],
+  },
+];
+
+// ============================================================================
+// COLLOCATIONS
+// Neighbour lemmas a candidate is attested next to ("scalding water", "glacial
+// pace"). A listed neighbour passes the collocation layer outright; any other
+// neighbour is checked with the masked LM (see pipeline/collocations.js).
+// Schema: { candidate: [neighbour lemmas] }
+// ============================================================================
+const Collocations = {
+  scalding: ["water", "tea", "coffee", "soup", "steam", "shower", "bath", "oil", "liquid", "criticism", "rebuke", "review", "attack", "burn"],
+  scorching: ["sun", "heat", "day", "summer", "afternoon", "desert", "sand", "temperature", "weather", "pace", "review", "criticism"],
+  sweltering: ["heat", "day", "summer", "afternoon", "night", "room", "city", "weather", "humidity", "temperature"],
+  torrid: ["heat", "summer", "climate", "zone", "sun", "affair", "romance", "time", "spell", "season"],
+  frigid: ["air", "water", "temperature", "weather", "winter", "night", "wind", "cold", "climate", "stare", "reception", "silence"],
+  glacial: ["pace", "speed", "progress", "ice", "lake", "valley", "period", "erosion", "melt", "wind", "stare", "silence", "calm"],
+  frosty: ["morning", "night", "air", "weather", "window", "grass", "glass", "reception", "relation", "look", "silence", "welcome"],
+  arctic: ["air", "wind", "blast", "circle", "ocean", "ice", "fox", "weather", "temperature", "condition", "expedition"],
+  brisk: ["walk", "pace", "wind", "breeze", "morning", "air", "trade", "business", "sale", "tone", "manner", "stride"],
+  swift: ["action", "response", "reaction", "return", "change", "current", "river", "decline", "kick", "justice", "recovery", "move"],
+  expeditious: ["manner", "process", "resolution", "handling", "delivery", "response", "review", "treatment", "way"],
+  sluggish: ["economy", "growth", "market", "sale", "start", "performance", "response", "recovery", "traffic", "river", "circulation", "demand"],
+  leisurely: ["pace", "stroll", "walk", "lunch", "breakfast", "meal", "drive", "ride", "afternoon", "swim", "way"],
+  lethargic: ["feel", "mood", "economy", "market", "performance", "patient", "response", "state", "child", "start"],
+  colossal: ["statue", "waste", "mistake", "failure", "amount", "sum", "error", "success", "scale", "size", "building", "blunder"],
+  gargantuan: ["task", "appetite", "meal", "effort", "amount", "size", "proportion", "sum", "project", "challenge"],
+  mammoth: ["task", "undertaking", "project", "job", "effort", "operation", "meeting", "session", "cave", "tusk"],
+  minuscule: ["amount", "number", "fraction", "chance", "risk", "quantity", "percentage", "budget", "difference", "detail"],
+  microscopic: ["organism", "particle", "detail", "level", "scale", "examination", "analysis", "life", "creature", "amount"],
+  diminutive: ["figure", "stature", "size", "woman", "man", "form", "suffix", "frame", "height"],
+  impeccable: ["taste", "manner", "record", "credential", "timing", "style", "condition", "service", "english", "reputation", "dress"],
+  elated: ["feel", "mood", "crowd", "fan", "supporter", "winner", "look", "expression"],
+};
+
 // ============================================================================
 // IDIOM DATABASE
-// Patterns that should NOT be substituted
+// Patterns that should NOT be substituted, filed under the word they protect
+// Schema: { word: [{ pattern, meaning }] }
+// Pattern slots are lemmas, so every inflection matches ("run out of" also
+// catches "ran out of"); "a|the" lists alternatives, "word?" is optional,
+// "*" is any one word and "..." a gap of up to IDIOM_MAX_GAP words (see
+// pipeline/idioms.js). Only the occurrence the pattern covers is protected.
 // ============================================================================
 const IdiomDatabase = {
   "hot": [
-    { phrase: "hot dog", meaning: "food" },
-    { phrase: "hot water", meaning: "trouble" },
-    { phrase: "hot air", meaning: "empty talk" },
-    { phrase: "hot shot", meaning: "important person" },
-    { phrase: "hot potato", meaning: "controversial issue" },
-    { phrase: "hot head", meaning: "quick temper" },
-    { phrase: "hot under the collar", meaning: "angry" },
+    { pattern: "hot dog", meaning: "food" },
+    { pattern: "hot water", meaning: "trouble" },
+    { pattern: "hot air", meaning: "empty talk" },
+    { pattern: "hot shot", meaning: "important person" },
+    { pattern: "hot potato", meaning: "controversial issue" },
+    { pattern: "hot head", meaning: "quick temper" },
+    { pattern: "hot under the collar", meaning: "angry" },
+    { pattern: "blow hot and cold", meaning: "keep changing one's mind" },
   ],
   "cold": [
-    { phrase: "cold feet", meaning: "nervousness" },
-    { phrase: "cold shoulder", meaning: "ignore" },
-    { phrase: "cold turkey", meaning: "stop abruptly" },
-    { phrase: "cold blood", meaning: "cruelty/calm" },
-    { phrase: "cold war", meaning: "tension without conflict" },
-    { phrase: "cold fish", meaning: "unemotional person" },
+    { pattern: "cold feet", meaning: "nervousness" },
+    { pattern: "give ... cold shoulder", meaning: "ignore" },
+    { pattern: "cold shoulder", meaning: "ignore" },
+    { pattern: "cold turkey", meaning: "stop abruptly" },
+    { pattern: "cold blood", meaning: "cruelty/calm" },
+    { pattern: "cold war", meaning: "tension without conflict" },
+    { pattern: "cold fish", meaning: "unemotional person" },
   ],
   "big": [
-    { phrase: "big deal", meaning: "important/sarcasm" },
-    { phrase: "big shot", meaning: "important person" },
-    { phrase: "big picture", meaning: "overall view" },
-    { phrase: "big cheese", meaning: "important person" },
-    { phrase: "big mouth", meaning: "talks too much" },
+    { pattern: "big deal", meaning: "important/sarcasm" },
+    { pattern: "big shot", meaning: "important person" },
+    { pattern: "big picture", meaning: "overall view" },
+    { pattern: "big cheese", meaning: "important person" },
+    { pattern: "big mouth", meaning: "talks too much" },
   ],
   "small": [
-    { phrase: "small talk", meaning: "casual conversation" },
-    { phrase: "small fry", meaning: "unimportant people" },
-    { phrase: "small potatoes", meaning: "insignificant" },
-    { phrase: "small world", meaning: "coincidence" },
+    { pattern: "small talk", meaning: "casual conversation" },
+    { pattern: "small fry", meaning: "unimportant people" },
+    { pattern: "small potatoes", meaning: "insignificant" },
+    { pattern: "small world", meaning: "coincidence" },
   ],
   "good": [
-    { phrase: "good riddance", meaning: "relief at departure" },
-    { phrase: "good grief", meaning: "exclamation" },
-    { phrase: "good for nothing", meaning: "useless" },
-    { phrase: "good samaritan", meaning: "helpful stranger" },
+    { pattern: "good riddance", meaning: "relief at departure" },
+    { pattern: "good grief", meaning: "exclamation" },
+    { pattern: "good for nothing", meaning: "useless" },
+    { pattern: "good samaritan", meaning: "helpful stranger" },
   ],
   "bad": [
-    { phrase: "bad blood", meaning: "hostility" },
-    { phrase: "bad apple", meaning: "troublemaker" },
-    { phrase: "bad egg", meaning: "dishonest person" },
-    { phrase: "bad rap", meaning: "unfair criticism" },
+    { pattern: "bad blood", meaning: "hostility" },
+    { pattern: "bad apple", meaning: "troublemaker" },
+    { pattern: "bad egg", meaning: "dishonest person" },
+    { pattern: "bad rap", meaning: "unfair criticism" },
   ],
   "happy": [
-    { phrase: "happy medium", meaning: "compromise" },
-    { phrase: "happy go lucky", meaning: "carefree" },
-    { phrase: "happy camper", meaning: "satisfied person" },
+    { pattern: "happy medium", meaning: "compromise" },
+    { pattern: "happy go lucky", meaning: "carefree" },
+    { pattern: "happy camper", meaning: "satisfied person" },
   ],
   "fast": [
-    { phrase: "fast track", meaning: "accelerated path" },
-    { phrase: "fast food", meaning: "quick service food" },
-    { phrase: "fast and loose", meaning: "irresponsible" },
-    { phrase: "fast asleep", meaning: "deeply sleeping" },
+    { pattern: "fast track", meaning: "accelerated path" },
+    { pattern: "fast food", meaning: "quick service food" },
+    { pattern: "fast and loose", meaning: "irresponsible" },
+    { pattern: "fast asleep", meaning: "deeply sleeping" },
+    { pattern: "pull a fast one", meaning: "trick someone" },
+    { pattern: "hold fast", meaning: "stay firm" },
   ],
   "slow": [
-    { phrase: "slow poke", meaning: "slow person" },
-    { phrase: "slow burn", meaning: "gradual anger" },
-    { phrase: "slow motion", meaning: "reduced speed" },
+    { pattern: "slow poke", meaning: "slow person" },
+    { pattern: "slow burn", meaning: "gradual anger" },
+    { pattern: "slow motion", meaning: "reduced speed" },
   ],
   "run": [
-    { phrase: "run of the mill", meaning: "ordinary" },
-    { phrase: "run amok", meaning: "go wild" },
-    { phrase: "run the gamut", meaning: "cover full range" },
+    { pattern: "run of the mill", meaning: "ordinary" },
+    { pattern: "run amok", meaning: "go wild" },
+    { pattern: "run the gamut", meaning: "cover full range" },
+    { pattern: "run out of", meaning: "use up" },
+    { pattern: "run * ragged", meaning: "exhaust" },
+    { pattern: "run in the|a? family", meaning: "be inherited" },
   ],
   "walk": [
-    { phrase: "walk of life", meaning: "occupation/position" },
-    { phrase: "walk the walk", meaning: "act on words" },
-    { phrase: "walk on eggshells", meaning: "be careful" },
+    { pattern: "walk of life", meaning: "occupation/position" },
+    { pattern: "walk the walk", meaning: "act on words" },
+    { pattern: "walk on eggshells", meaning: "be careful" },
+    { pattern: "walk all over", meaning: "treat badly" },
   ],
   "dark": [
-    { phrase: "dark horse", meaning: "unknown competitor" },
-    { phrase: "dark side", meaning: "negative aspect" },
-    { phrase: "in the dark", meaning: "uninformed" },
+    { pattern: "dark horse", meaning: "unknown competitor" },
+    { pattern: "dark side", meaning: "negative aspect" },
+    { pattern: "in the dark", meaning: "uninformed" },
+    { pattern: "shot in the dark", meaning: "wild guess" },
   ],
   "bright": [
-    { phrase: "bright side", meaning: "positive aspect" },
-    { phrase: "bright idea", meaning: "clever thought" },
-    { phrase: "bright and early", meaning: "very early" },
+    { pattern: "bright side", meaning: "positive aspect" },
+    { pattern: "bright idea", meaning: "clever thought" },
+    { pattern: "bright and early", meaning: "very early" },
   ],
   "old": [
-    { phrase: "old hat", meaning: "outdated" },
-    { phrase: "old flame", meaning: "former lover" },
-    { phrase: "old school", meaning: "traditional" },
+    { pattern: "old hat", meaning: "outdated" },
+    { pattern: "old flame", meaning: "former lover" },
+    { pattern: "old school", meaning: "traditional" },
   ],
   "new": [
-    { phrase: "new blood", meaning: "fresh members" },
-    { phrase: "new leaf", meaning: "fresh start" },
-    { phrase: "brand new", meaning: "completely new" },
+    { pattern: "new blood", meaning: "fresh members" },
+    { pattern: "new leaf", meaning: "fresh start" },
+    { pattern: "brand new", meaning: "completely new" },
+  ],
+  "hard": [
+    { pattern: "hard feelings", meaning: "resentment" },
+    { pattern: "play hard to get", meaning: "feign disinterest" },
+    { pattern: "hard of hearing", meaning: "partly deaf" },
+    { pattern: "hard and fast", meaning: "fixed" },
+    { pattern: "the hard way", meaning: "through experience" },
+  ],
+  "easy": [
+    { pattern: "take it|things easy", meaning: "relax" },
+    { pattern: "easy does it", meaning: "carefully" },
+    { pattern: "go easy on", meaning: "be lenient" },
+  ],
+  "light": [
+    { pattern: "make light of", meaning: "treat as unimportant" },
+    { pattern: "see the light", meaning: "finally understand" },
+    { pattern: "come to light", meaning: "become known" },
+  ],
+  "clear": [
+    { pattern: "clear the air", meaning: "resolve tension" },
+    { pattern: "steer clear of", meaning: "avoid" },
+    { pattern: "in the clear", meaning: "free of blame" },
+  ],
+  "true": [
+    { pattern: "come true", meaning: "happen as hoped" },
+    { pattern: "ring true", meaning: "seem believable" },
+  ],
+  "think": [
+    { pattern: "think twice", meaning: "reconsider" },
+    { pattern: "think outside the box", meaning: "be creative" },
+  ],
+  "secret": [
+    { pattern: "open secret", meaning: "widely known fact" },
   ],
 };
 
@@ -510,119 +964,58 @@ function getSubstitutions(word) {
 }
 
 /**
- * Check if a word pair are antonyms
+ * Get the Zipf frequency of a word or phrase
+ * A phrase is as frequent as its rarest word; words missing from the list
+ * are treated as rare (0).
  */
-function isAntonymPair(word1, word2) {
-  const w1 = word1.toLowerCase();
-  const w2 = word2.toLowerCase();
-
-  for (const pair of AntonymPairs) {
-    if ((pair[0] === w1 && pair[1] === w2) ||
-        (pair[0] === w2 && pair[1] === w1)) {
-      return true;
-    }
-  }
-  return false;
+function getZipfFrequency(word) {
+  const words = word.toLowerCase().split(/\s+/);
+  return Math.min(...words.map(w => WordFrequency[w] ?? 0));
 }
 
 /**
- * Check if a word in context is part of an idiom
+ * Get the difficulty tier of a word from its frequency band
+ * `zipf` overrides the looked-up frequency (e.g. a fallback for unknown words).
  */
-function checkIdiom(sentence, targetWord) {
-  const lower = targetWord.toLowerCase();
-  const sentenceLower = sentence.toLowerCase();
-
-  if (!IdiomDatabase[lower]) {
-    return { isIdiom: false, meaning: null };
-  }
+function getDifficultyTier(word, zipf = getZipfFrequency(word)) {
+  if (zipf >= CONFIG.TIER_MODERATE_MIN_ZIPF) return DifficultyTier.MODERATE;
+  if (zipf >= CONFIG.TIER_ADVANCED_MIN_ZIPF) return DifficultyTier.ADVANCED;
+  return DifficultyTier.OBSCURE;
+}
 
-  for (const idiom of IdiomDatabase[lower]) {
-    if (sentenceLower.includes(idiom.phrase)) {
-      return { isIdiom: true, meaning: idiom.meaning };
-    }
+// Reverse lookup: word -> [registers]
+const WORD_REGISTERS = new Map();
+for (const [register, words] of Object.entries(RegisterTags)) {
+  for (const word of words) {
+    if (!WORD_REGISTERS.has(word)) WORD_REGISTERS.set(word, []);
+    WORD_REGISTERS.get(word).push(register);
   }
-
-  return { isIdiom: false, meaning: null };
 }
 
 /**
- * Check if word is part of a proper noun
+ * Get the register tags of a candidate (its own `register`, else RegisterTags)
  */
-function checkProperNoun(sentence, targetWord) {
-  const lower = targetWord.toLowerCase();
-  const sentenceLower = sentence.toLowerCase();
-
-  // Check known proper nouns
-  for (const pattern of ProperNounPatterns) {
-    if (sentenceLower.includes(pattern) && pattern.includes(lower)) {
-      return { isProperNoun: true, reason: `Part of "${pattern}"` };
-    }
+function getRegisters(candidate) {
+  if (candidate.register) {
+    return [].concat(candidate.register);
   }
-
-  // Check title + capitalized word pattern
-  for (const title of TitlePatterns) {
-    const titleRegex = new RegExp(`\\b${title}\\.?\\s+([A-Z][a-z]+)`, 'i');
-    const match = sentence.match(titleRegex);
-    if (match) {
-      const targetIdx = sentence.toLowerCase().indexOf(lower);
-      const matchStart = sentence.toLowerCase().indexOf(match[0].toLowerCase());
-      const matchEnd = matchStart + match[0].length;
-
-      if (targetIdx >= matchStart && targetIdx < matchEnd) {
-        return { isProperNoun: true, reason: "Title/name context" };
-      }
-    }
-  }
-
-  // Check mid-sentence capitalization
-  const words = sentence.split(/\s+/);
-  for (let i = 1; i < words.length; i++) {
-    const word = words[i].replace(/[.,!?;:'\"()-]/g, '');
-    if (word.toLowerCase() === lower && word[0] === word[0].toUpperCase()) {
-      // Check if previous word ends with sentence terminator
-      const prevWord = words[i - 1];
-      if (!prevWord.match(/[.!?]$/)) {
-        return { isProperNoun: true, reason: "Mid-sentence capitalization" };
-      }
-    }
-  }
-
-  return { isProperNoun: false, reason: null };
+  return WORD_REGISTERS.get(candidate.word.toLowerCase()) || [];
 }
 
 /**
- * Check for negation context
+ * Score how well a candidate fits a tone preset
+ * Returns null when the candidate has an excluded register, 1 for a
+ * preferred register, 0.5 for a preferred domain and 0 otherwise.
  */
-function checkNegation(sentence, targetWord) {
-  const lower = targetWord.toLowerCase();
-  const sentenceLower = sentence.toLowerCase();
-  const targetIdx = sentenceLower.indexOf(lower);
-
-  if (targetIdx === -1) {
-    return { isNegated: false, expanded: targetWord };
-  }
-
-  // Get preceding text and split into words
-  const precedingText = sentenceLower.substring(0, targetIdx).trim();
-  const precedingWords = precedingText.split(/\s+/).slice(-4); // Last 4 words
-
-  // Check for negators and diminishers
-  for (const word of precedingWords) {
-    const cleaned = word.replace(/[.,!?;:'\"()-]/g, '');
-    if (NegatorWords.has(cleaned) || DiminisherWords.has(cleaned)) {
-      return { isNegated: true, expanded: targetWord };
-    }
-  }
-
-  // Check for intensifiers (expand context)
-  if (precedingWords.length > 0) {
-    const lastWord = precedingWords[precedingWords.length - 1].replace(/[.,!?;:'\"()-]/g, '');
-    if (IntensifierWords.has(lastWord)) {
-      return { isNegated: false, expanded: `${lastWord} ${targetWord}` };
-    }
-  }
+function getToneFit(candidate, tone) {
+  const preset = TonePresets[tone];
+  if (!preset) return 0;
 
-  return { isNegated: false, expanded: targetWord };
+  const registers = getRegisters(candidate);
+  if (registers.some(r => preset.exclude.includes(r))) return null;
+  if (registers.some(r => preset.registers.includes(r))) return 1;
+  if (preset.domains?.includes(candidate.domain)) return 0.5;
+  return 0;
 }
 
 // ============================================================================
@@ -631,8 +1024,17 @@ function checkNegation(sentence, targetWord) {
 export {
   CONFIG,
   BlockReason,
+  Direction,
+  DifficultyTier,
+  Tone,
+  Occurrences,
   GREVocabularyDatabase,
+  WordFrequency,
+  RegisterTags,
+  TonePresets,
   AntonymPairs,
+  AntonymScales,
+  Collocations,
   IdiomDatabase,
   ProperNounPatterns,
   TitlePatterns,
@@ -641,8 +1043,8 @@ export {
   IntensifierWords,
   getVocabularyWords,
   getSubstitutions,
-  isAntonymPair,
-  checkIdiom,
-  checkProperNoun,
-  checkNegation,
+  getZipfFrequency,
+  getDifficultyTier,
+  getRegisters,
+  getToneFit,
 };
@@ -0,0 +1,87 @@
+/**
+ * Antonym Store - Complexity Injector (ES Module)
+ *
+ * Indexes AntonymPairs and AntonymScales by lemma, so a lookup is a map hit
+ * instead of a scan and inflected forms match ("hotter" vs "colder").
+ * Phrases are also checked word by word ("very big" vs "tiny").
+ */
+
+import { AntonymPairs, AntonymScales } from '../data.js';
+import { lemmatize } from './morphology.js';
+
+// lemma → Map(antonym lemma → relation: 'pair' or the scale name)
+const INDEX = new Map();
+
+// lemma → names of the scales it sits on
+const SCALES = new Map();
+
+/**
+ * Record two words as antonyms of each other
+ */
+function link(a, b, relation) {
+  for (const [from, to] of [[a, b], [b, a]]) {
+    if (!INDEX.has(from)) INDEX.set(from, new Map());
+    if (!INDEX.get(from).has(to)) INDEX.get(from).set(to, relation);
+  }
+}
+
+for (const [a, b] of AntonymPairs) {
+  link(a, b, 'pair');
+}
+for (const { name, low, high } of AntonymScales) {
+  for (const a of low) {
+    for (const b of high) link(a, b, name);
+  }
+  for (const word of [...low, ...high]) {
+    if (!SCALES.has(word)) SCALES.set(word, []);
+    SCALES.get(word).push(name);
+  }
+}
+
+/**
+ * Lemmas a word or phrase may stand for: itself, its analyses and, for a
+ * phrase, those of each word
+ */
+function lemmasOf(word) {
+  const lower = word.toLowerCase();
+  const lemmas = new Set([lower]);
+  const words = lower.split(/\s+/);
+
+  for (const part of words.length > 1 ? [lower, ...words] : words) {
+    for (const { lemma } of lemmatize(part)) lemmas.add(lemma);
+  }
+  return lemmas;
+}
+
+/**
+ * Names of the antonym scales a word or phrase sits on
+ */
+export function scalesOf(word) {
+  const scales = new Set();
+  for (const lemma of lemmasOf(word)) {
+    for (const scale of SCALES.get(lemma) || []) scales.add(scale);
+  }
+  return [...scales];
+}
+
+/**
+ * Find how two words are antonyms
+ * Returns { word, antonym, relation } naming the matching lemmas and
+ * 'pair' or the scale they sit on opposite sides of, or null.
+ */
+export function findAntonym(word1, word2) {
+  const lemmas2 = lemmasOf(word2);
+
+  for (const lemma of lemmasOf(word1)) {
+    const antonyms = INDEX.get(lemma);
+    if (!antonyms) continue;
+
+    for (const other of lemmas2) {
+      if (antonyms.has(other)) {
+        return { word: lemma, antonym: other, relation: antonyms.get(other) };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Collocations - Complexity Injector (ES Module)
+ *
+ * Finds the content words right next to a target span and looks candidates
+ * up in the bundled Collocations table, so odd pairings the long-range
+ * syntax score misses ("scalding personality", "glacial decision") can be
+ * checked against the words they actually touch.
+ *
+ * Neighbours are the nearest noun, verb, adjective or adverb on each side,
+ * within CONFIG.COLLOCATION_WINDOW words and not across punctuation
+ * ("the scalding water" → water; "the water, scalding" → none on the left).
+ * Intensifiers ("very") are skipped: they go with almost anything.
+ */
+
+import { CONFIG, Collocations, IntensifierWords } from '../data.js';
+import { lemmatize } from './morphology.js';
+import { tagSentence } from './pos_tagger.js';
+
+const CONTENT_TAGS = new Set(['noun', 'verb', 'adj', 'adv']);
+
+// Candidate → Set of attested neighbour lemmas
+const TABLE = new Map(
+  Object.entries(Collocations).map(([word, neighbours]) => [word, new Set(neighbours)])
+);
+
+/**
+ * Lemmas a word may stand for: itself and its analyses
+ */
+function lemmasOf(word) {
+  const lower = word.toLowerCase();
+  return new Set([lower, ...lemmatize(lower).map(analysis => analysis.lemma)]);
+}
+
+/**
+ * Content-word neighbours of [start, end) in `sentence`
+ * Returns [{ text, start, end, tag, side }] with side 'left' or 'right',
+ * at most one per side.
+ */
+export function findNeighbours(sentence, start, end) {
+  const tokens = tagSentence(sentence).map(token => ({ ...token, lower: token.text.toLowerCase() }));
+  const first = tokens.findIndex(token => token.end > start);
+  const last = tokens.findLastIndex(token => token.start < end);
+  if (first === -1 || last < first) return [];
+
+  // Punctuation between two tokens ends the search
+  const separated = (a, b) => /[^\s'’"“”-]/.test(sentence.substring(a.end, b.start));
+
+  const neighbours = [];
+  for (const [side, step, from] of [['left', -1, first], ['right', 1, last]]) {
+    let previous = tokens[from];
+    for (let i = from + step, n = 1; i >= 0 && i < tokens.length && n <= CONFIG.COLLOCATION_WINDOW; i += step, n++) {
+      const token = tokens[i];
+      if (step < 0 ? separated(token, previous) : separated(previous, token)) break;
+      if (CONTENT_TAGS.has(token.tag) && !IntensifierWords.has(token.lower)) {
+        neighbours.push({ text: token.text, start: token.start, end: token.end, tag: token.tag, side });
+        break;
+      }
+      previous = token;
+    }
+  }
+
+  return neighbours;
+}
+
+/**
+ * Check whether the Collocations table attests `candidate` next to `neighbour`
+ * Both are matched by lemma ("scalding waters" → scalding + water).
+ */
+export function isAttested(candidate, neighbour) {
+  const neighbourLemmas = lemmasOf(neighbour);
+
+  for (const lemma of lemmasOf(candidate)) {
+    const attested = TABLE.get(lemma);
+    if (attested && [...neighbourLemmas].some(other => attested.has(other))) return true;
+  }
+  return false;
+}
@@ -0,0 +1,153 @@
+/**
+ * Named Entities - Complexity Injector (ES Module)
+ *
+ * Heuristic named-entity detection at one word of a sentence, so names made
+ * of ordinary words ("Big Bear Lake", "Dark Reader", "Dr. Strange") are not
+ * complexified. In order:
+ * - gazetteer: known names (ProperNounPatterns plus user entries)
+ * - titles: a TitlePatterns word followed by capitalized words
+ * - capitalized runs: two or more capitalized words in a row, allowing
+ *   lowercase connectors inside ("Bank of America")
+ * - mid-sentence capitalization of the word itself
+ *
+ * The capitalization heuristics are skipped for headline-style (title case)
+ * sentences, where every word is capitalized anyway.
+ */
+
+import { TitlePatterns } from '../data.js';
+
+// Lowercase words that may join the capitalized words of one name
+const CONNECTORS = new Set(['of', 'the', 'and', '&', 'de', 'del', 'la', 'le', 'von', 'van', 'der', 'du']);
+
+// Minor words that title case leaves lowercase ("Gone with the Wind")
+const MINOR_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'of', 'in', 'on',
+  'at', 'to', 'by', 'up', 'as', 'with', 'from']);
+
+const TITLES = new Set(TitlePatterns);
+
+// Gazetteer entries split into words, by entry
+const entryWords = new Map();
+
+/**
+ * Words of a sentence as [{ text, lower, start, end, capitalized, initial, joined }]
+ * `initial` marks words that open the sentence or follow a terminator,
+ * colon or opening quote, where capitals say nothing about names; `joined`
+ * words follow the previous one with only whitespace between them.
+ */
+function entityTokens(sentence) {
+  const tokens = [];
+  const regex = /[A-Za-z0-9]+(?:['’][A-Za-z]+)?|&/g;
+  let previousEnd = 0;
+  let match;
+
+  while ((match = regex.exec(sentence)) !== null) {
+    const text = match[0];
+    const gap = sentence.substring(previousEnd, match.index);
+    tokens.push({
+      text,
+      lower: text.toLowerCase(),
+      start: match.index,
+      end: match.index + text.length,
+      capitalized: /^[A-Z][a-z]/.test(text),
+      initial: tokens.length === 0 || /[.!?:"“‘(\[]/.test(gap),
+      joined: tokens.length > 0 && /^\s+$/.test(gap),
+    });
+    previousEnd = match.index + text.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Words of a gazetteer entry, lowercased
+ */
+function gazetteerWords(entry) {
+  if (!entryWords.has(entry)) {
+    entryWords.set(entry, entry.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?|&/g) || []);
+  }
+  return entryWords.get(entry);
+}
+
+/**
+ * Gazetteer entry covering token `target`, as [from, to] token indices
+ */
+function matchGazetteer(tokens, target, gazetteer) {
+  for (const entry of gazetteer) {
+    const words = gazetteerWords(entry);
+
+    for (let k = 0; k < words.length; k++) {
+      const from = target - k;
+      if (from < 0 || from + words.length > tokens.length) continue;
+      if (words.every((word, w) => tokens[from + w].lower === word)) {
+        return [from, from + words.length - 1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Capitalized run containing token `target`, as [from, to] token indices
+ * A run starts and ends on capitalized words; connectors may sit inside.
+ */
+function capitalizedRun(tokens, target) {
+  const inRun = i => tokens[i].capitalized || CONNECTORS.has(tokens[i].lower);
+  if (!tokens[target].capitalized) return null;
+
+  let from = target;
+  while (from > 0 && tokens[from].joined && inRun(from - 1)) from--;
+  let to = target;
+  while (to + 1 < tokens.length && tokens[to + 1].joined && inRun(to + 1)) to++;
+
+  while (!tokens[from].capitalized) from++;
+  while (!tokens[to].capitalized) to--;
+  return [from, to];
+}
+
+/**
+ * Check whether a sentence is in title case like a headline: at least four
+ * words, all capitalized except minor words
+ */
+function isHeadline(tokens) {
+  const words = tokens.filter(token => /^[A-Za-z]/.test(token.text));
+  return words.length >= 4 && words.every(token => token.capitalized || MINOR_WORDS.has(token.lower));
+}
+
+/**
+ * Find a named entity covering the word at `targetStart` in `sentence`
+ * `gazetteer` lists known names (any case). Returns
+ * { reason, entity, start, end } with the entity's span, or null.
+ */
+export function findEntity(sentence, targetStart, gazetteer = []) {
+  const tokens = entityTokens(sentence);
+  const target = tokens.findIndex(token => token.start <= targetStart && targetStart < token.end);
+  if (target === -1) return null;
+
+  const entity = (reason, [from, to]) => ({
+    reason,
+    entity: sentence.substring(tokens[from].start, tokens[to].end),
+    start: tokens[from].start,
+    end: tokens[to].end,
+  });
+
+  const known = matchGazetteer(tokens, target, gazetteer);
+  if (known) return entity('Known name', known);
+
+  // Title followed by a name: "Dr. Strange", "president Good"
+  for (let i = target - 1; i >= 0 && target - i <= 3; i--) {
+    if (TITLES.has(tokens[i].lower)) {
+      const run = capitalizedRun(tokens, i + 1);
+      if (run && run[1] >= target) {
+        return entity('Title/name context', [i, run[1]]);
+      }
+    }
+  }
+
+  if (isHeadline(tokens)) return null;
+
+  const run = capitalizedRun(tokens, target);
+  if (run && run[1] > run[0]) return entity('Capitalized name', run);
+  if (run && !tokens[target].initial) return entity('Mid-sentence capitalization', run);
+
+  return null;
+}
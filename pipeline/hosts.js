@@ -0,0 +1,86 @@
+/**
+ * Host Adapters - Complexity Injector (ES Module)
+ *
+ * Each host adapter tells the shared pipeline how to load Transformers.js
+ * pipelines and where to report status for one runtime:
+ * - Offscreen document (chrome.runtime messaging to the background)
+ * - Dedicated Web Worker (postMessage to the parent)
+ * - Node (console logging, @xenova/transformers from node_modules)
+ */
+
+/**
+ * Configure ONNX for single-threaded execution
+ * Chrome extensions block blob URL workers that ONNX Runtime creates for
+ * multi-threading, so this MUST run before any pipeline() call.
+ */
+export function configureTransformers(env) {
+  env.allowLocalModels = false;
+  env.useBrowserCache = true;
+
+  // Disable ONNX WASM proxy (which spawns blob URL workers)
+  if (env.backends?.onnx?.wasm) {
+    env.backends.onnx.wasm.proxy = false;
+    env.backends.onnx.wasm.numThreads = 1;
+  }
+}
+
+/**
+ * Host for the offscreen document
+ */
+export function createOffscreenHost({ pipeline }) {
+  return {
+    name: 'Offscreen',
+    loadPipeline: (task, model, options) => pipeline(task, model, options),
+    reportStatus(status, message) {
+      chrome.runtime.sendMessage({
+        target: 'background',
+        type: 'workerStatus',
+        status,
+        message,
+      }).catch(() => {});
+    },
+  };
+}
+
+/**
+ * Host for a dedicated Web Worker
+ */
+export function createWorkerHost({ pipeline }) {
+  return {
+    name: 'AI Worker',
+    loadPipeline(task, model, options) {
+      // Runtime check for global ort object (set by ONNX Runtime)
+      if (typeof self.ort !== 'undefined' && self.ort.env?.wasm) {
+        self.ort.env.wasm.proxy = false;
+        self.ort.env.wasm.numThreads = 1;
+      }
+      return pipeline(task, model, options);
+    },
+    reportStatus(status, message) {
+      if (status === 'error') {
+        postMessage({ type: 'error', message });
+      } else {
+        postMessage({ type: 'status', status, message });
+      }
+    },
+  };
+}
+
+/**
+ * Host for Node (scripts, offline evaluation)
+ * Requires @xenova/transformers (2.17.2, see README) installed alongside the caller.
+ */
+export async function createNodeHost({ quiet = false } = {}) {
+  const { pipeline, env } = await import('@xenova/transformers');
+  env.allowLocalModels = false;
+
+  return {
+    name: 'Node',
+    loadPipeline: (task, model, options) => pipeline(task, model, options),
+    reportStatus(status, message) {
+      if (!quiet || status === 'error') {
+        console.log(`[Node] ${status}: ${message}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Idiom Matcher - Complexity Injector (ES Module)
+ *
+ * Matches the token patterns of IdiomDatabase against a sentence, anchored
+ * on the target word, so "got into hot waters" is caught by "hot water" but
+ * "hot" elsewhere in a sentence that also says "hot water" is not.
+ *
+ * Pattern syntax (space-separated slots):
+ *   word      any inflection of the lemma ("run" matches "ran", "running")
+ *   a|the     any one of the alternatives, each inflected
+ *   word?     optional word
+ *   *         exactly one word of any kind
+ *   ...       a gap of zero to CONFIG.IDIOM_MAX_GAP words
+ *
+ * The anchor is the first slot listing the entry's key: an idiom only
+ * matches when that slot lands on the target word.
+ */
+
+import { CONFIG } from '../data.js';
+import { lemmatize } from './morphology.js';
+
+// Compiled patterns by source string
+const compiled = new Map();
+
+/**
+ * Compile a pattern string into slots:
+ * { gap: [min, max] } or { lemmas, optional }
+ */
+function compilePattern(pattern) {
+  if (!compiled.has(pattern)) {
+    const slots = pattern.toLowerCase().split(/\s+/).map(part => {
+      if (part === '*') return { gap: [1, 1] };
+      if (part === '...') return { gap: [0, CONFIG.IDIOM_MAX_GAP] };
+
+      const optional = part.endsWith('?');
+      return { lemmas: part.replace(/\?$/, '').split('|'), optional };
+    });
+    compiled.set(pattern, slots);
+  }
+  return compiled.get(pattern);
+}
+
+/**
+ * Words of a sentence with their offsets and possible lemmas
+ * Hyphens split words ("happy-go-lucky" → happy go lucky).
+ */
+function tokenizeForIdioms(sentence) {
+  const tokens = [];
+  const regex = /[A-Za-z]+(?:'[A-Za-z]+)?/g;
+  let match;
+
+  while ((match = regex.exec(sentence)) !== null) {
+    tokens.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      lemmas: new Set(lemmatize(match[0]).map(analysis => analysis.lemma)),
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Match `slots` from slot `si` at token `ti`; the anchor slot must land on
+ * token `target`. Returns the index after the last matched token, or -1.
+ */
+function matchSlots(slots, tokens, si, ti, anchor, target) {
+  if (si === slots.length) return ti;
+  const slot = slots[si];
+
+  if (slot.gap) {
+    const [min, max] = slot.gap;
+    for (let n = min; n <= max && ti + n <= tokens.length; n++) {
+      const end = matchSlots(slots, tokens, si + 1, ti + n, anchor, target);
+      if (end !== -1) return end;
+    }
+    return -1;
+  }
+
+  const token = tokens[ti];
+  if (token && slot.lemmas.some(lemma => token.lemmas.has(lemma)) && (si !== anchor || ti === target)) {
+    const end = matchSlots(slots, tokens, si + 1, ti + 1, anchor, target);
+    if (end !== -1) return end;
+  }
+
+  return slot.optional && si !== anchor ? matchSlots(slots, tokens, si + 1, ti, anchor, target) : -1;
+}
+
+/**
+ * Find an idiom of `entries` ([{ pattern, meaning }], filed under `key`)
+ * that covers the word at `targetStart` in `sentence` with its anchor
+ * Returns { pattern, meaning, start, end } (the idiom's span) or null.
+ */
+export function matchIdiom(sentence, targetStart, key, entries) {
+  const tokens = tokenizeForIdioms(sentence);
+  const target = tokens.findIndex(token => token.start <= targetStart && targetStart < token.end);
+  if (target === -1) return null;
+
+  for (const { pattern, meaning } of entries) {
+    const slots = compilePattern(pattern);
+    const anchor = slots.findIndex(slot => slot.lemmas && slot.lemmas.includes(key));
+    if (anchor === -1) continue;
+
+    for (let start = 0; start <= target; start++) {
+      const end = matchSlots(slots, tokens, 0, start, anchor, target);
+      if (end > start) {
+        return { pattern, meaning, start: tokens[start].start, end: tokens[end - 1].end };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,248 @@
+/**
+ * Masked Language Model Scorer - Complexity Injector (ES Module)
+ *
+ * Runs DistilBERT's masked-LM head directly (through the fill-mask pipeline's
+ * tokenizer and model) so one forward pass yields the full log-probability
+ * distribution at a masked position. Every candidate for that position is
+ * then scored from the same distribution, and several masked sentences are
+ * run together as one padded batch.
+ *
+ * Candidates that split into several wordpieces (e.g. "sweltering") are
+ * scored by pseudo-log-likelihood instead: the pieces are placed at the
+ * position, each is masked in turn, and the log-probabilities of the pieces
+ * are averaged so longer words are not penalized for their length.
+ *
+ * The same masking gives a whole-sentence pseudo-log-likelihood
+ * (textPseudoLogLikelihood), used to compare a modified sentence's fluency
+ * with the original's.
+ *
+ * A distribution can also be read the other way round (topTokens): the most
+ * likely whole words at the mask, used as open-vocabulary proposals.
+ */
+
+export const MASK_TOKEN = '[MASK]';
+
+// Score for candidates the model cannot score at all
+export const UNSCORED = -10;
+
+/**
+ * Log of the softmax normalizer over one row of logits
+ */
+function logSumExp(logits, offset, size) {
+  let max = -Infinity;
+  for (let i = 0; i < size; i++) {
+    if (logits[offset + i] > max) max = logits[offset + i];
+  }
+
+  let sum = 0;
+  for (let i = 0; i < size; i++) {
+    sum += Math.exp(logits[offset + i] - max);
+  }
+
+  return max + Math.log(sum);
+}
+
+/**
+ * Log-softmax over one row of logits
+ */
+function logSoftmax(logits, offset, size) {
+  const logNorm = logSumExp(logits, offset, size);
+  const result = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    result[i] = logits[offset + i] - logNorm;
+  }
+  return result;
+}
+
+/**
+ * Create a scorer around a Transformers.js fill-mask pipeline
+ */
+export function createMaskedLM(fillMask, { batchSize = 4 } = {}) {
+  const { tokenizer, model } = fillMask;
+  const maskTokenId = tokenizer.mask_token_id ?? tokenizer.model.tokens_to_ids.get(MASK_TOKEN);
+  const maxLength = tokenizer.model_max_length ?? 512;
+  const tokenIdCache = new Map();
+
+  // Tensor class of the bundled Transformers.js, for building inputs by hand
+  const Tensor = tokenizer(MASK_TOKEN).input_ids.constructor;
+
+  /**
+   * Wordpiece ids for a word (no [CLS]/[SEP])
+   */
+  function tokenIds(word) {
+    const lower = word.toLowerCase();
+    if (!tokenIdCache.has(lower)) {
+      tokenIdCache.set(lower, tokenizer.encode(lower, null, { add_special_tokens: false }));
+    }
+    return tokenIdCache.get(lower);
+  }
+
+  /**
+   * Run one padded batch; returns log-probs at the first [MASK] of each text
+   */
+  async function runBatch(texts) {
+    const inputs = tokenizer(texts, { padding: true, truncation: true });
+    const { logits } = await model(inputs);
+
+    const [batch, seqLength, vocabSize] = logits.dims;
+    const inputIds = inputs.input_ids.data;
+    const results = [];
+
+    for (let b = 0; b < batch; b++) {
+      let maskIndex = -1;
+      for (let t = 0; t < seqLength; t++) {
+        if (Number(inputIds[b * seqLength + t]) === maskTokenId) {
+          maskIndex = t;
+          break;
+        }
+      }
+
+      results.push(maskIndex === -1
+        ? null
+        : logSoftmax(logits.data, (b * seqLength + maskIndex) * vocabSize, vocabSize));
+    }
+
+    return results;
+  }
+
+  /**
+   * Log-probability distributions at the mask of each masked text
+   * Texts are processed in batches of `batchSize`; a text without a mask
+   * (e.g. truncated away) yields null.
+   */
+  async function maskDistributions(maskedTexts) {
+    const results = [];
+    for (let i = 0; i < maskedTexts.length; i += batchSize) {
+      results.push(...await runBatch(maskedTexts.slice(i, i + batchSize)));
+    }
+    return results;
+  }
+
+  /**
+   * Run rows of token ids that all have the same length; returns the logits
+   */
+  async function runIds(rows) {
+    const dims = [rows.length, rows[0].length];
+    const ids = BigInt64Array.from(rows.flat(), BigInt);
+    const inputs = {
+      input_ids: new Tensor('int64', ids, dims),
+      attention_mask: new Tensor('int64', new BigInt64Array(ids.length).fill(1n), dims),
+    };
+    const { logits } = await model(inputs);
+    return logits;
+  }
+
+  /**
+   * Mean log-probability of the tokens at `indices` of `ids`, each masked in
+   * turn with the others left in place
+   */
+  async function meanMaskedLogProb(ids, indices) {
+    const rows = indices.map(index => {
+      const row = ids.slice();
+      row[index] = maskTokenId;
+      return row;
+    });
+
+    let total = 0;
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const logits = await runIds(batch);
+      const [, seqLength, vocabSize] = logits.dims;
+
+      batch.forEach((_, b) => {
+        const index = indices[i + b];
+        const offset = (b * seqLength + index) * vocabSize;
+        total += logits.data[offset + ids[index]] - logSumExp(logits.data, offset, vocabSize);
+      });
+    }
+
+    return total / indices.length;
+  }
+
+  /**
+   * Pseudo-log-likelihood of a candidate at the mask of a masked text
+   * Each wordpiece is masked in turn (the others left in place) and the
+   * log-probabilities of the pieces are averaged over the candidate's length.
+   */
+  async function pseudoLogLikelihood(maskedText, candidate) {
+    const pieces = tokenIds(candidate);
+    const ids = Array.from(tokenizer(maskedText, { truncation: true }).input_ids.data, Number);
+    const maskIndex = ids.indexOf(maskTokenId);
+
+    if (pieces.length === 0 || maskIndex === -1) return UNSCORED;
+
+    const filled = [...ids.slice(0, maskIndex), ...pieces, ...ids.slice(maskIndex + 1)];
+    if (filled.length > maxLength) return UNSCORED;
+
+    const indices = pieces.map((_, i) => maskIndex + i);
+    return Math.max(await meanMaskedLogProb(filled, indices), UNSCORED);
+  }
+
+  /**
+   * Pseudo-log-likelihood of a whole text: every wordpiece (not [CLS]/[SEP])
+   * is masked in turn and the log-probabilities are averaged
+   * Returns null for text without tokens.
+   */
+  async function textPseudoLogLikelihood(text) {
+    const ids = Array.from(tokenizer(text, { truncation: true }).input_ids.data, Number);
+    const indices = ids.slice(1, -1).map((_, i) => i + 1);
+
+    if (indices.length === 0) return null;
+    return meanMaskedLogProb(ids, indices);
+  }
+
+  /**
+   * Score a candidate against a mask distribution
+   * Only single-wordpiece candidates can be read off one distribution;
+   * use pseudoLogLikelihood for the rest.
+   */
+  function scoreCandidate(distribution, candidate) {
+    if (!distribution) return UNSCORED;
+
+    const ids = tokenIds(candidate);
+    if (ids.length !== 1) return UNSCORED;
+
+    return Math.max(distribution[ids[0]], UNSCORED);
+  }
+
+  /**
+   * Wordpiece string for a token id
+   */
+  function idToToken(id) {
+    return tokenizer.model?.vocab?.[id] ?? tokenizer.decode([id]);
+  }
+
+  /**
+   * The `k` most likely whole-word tokens of a mask distribution
+   * Returns [{ token, logProb }], best first; subword continuations
+   * ("##ing"), special tokens and non-alphabetic tokens are skipped.
+   */
+  function topTokens(distribution, k) {
+    if (!distribution) return [];
+
+    const best = [];
+    for (let id = 0; id < distribution.length; id++) {
+      const logProb = distribution[id];
+      if (best.length === k && logProb <= best[k - 1].logProb) continue;
+
+      const token = idToToken(id);
+      if (!/^[a-z]+$/.test(token)) continue;
+
+      let i = best.length;
+      while (i > 0 && best[i - 1].logProb < logProb) i--;
+      best.splice(i, 0, { token, logProb });
+      if (best.length > k) best.pop();
+    }
+
+    return best;
+  }
+
+  return {
+    tokenIds,
+    maskDistributions,
+    scoreCandidate,
+    pseudoLogLikelihood,
+    textPseudoLogLikelihood,
+    topTokens,
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Morphology - Complexity Injector (ES Module)
+ *
+ * Rule-based lemmatizer and inflector for English. The vocabulary is keyed on
+ * base forms ("walk", "big"), so an inflected token ("walked", "bigger") is
+ * first reduced to a lemma plus the form it was in, and the chosen candidate
+ * is then regenerated in that same form ("amble" → "ambled",
+ * "colossal" → "more colossal").
+ *
+ * Forms:
+ *   base        walk, big
+ *   s           walks, thoughts (third person singular or plural noun)
+ *   past        walked, ran
+ *   participle  taken, written (only where it differs from the past)
+ *   gerund      walking
+ *   comparative bigger, more colossal
+ *   superlative biggest, most colossal
+ */
+
+// Which vocabulary `pos` values each form can belong to (null = any)
+const FORM_POS = {
+  base: null,
+  s: ['verb', 'noun'],
+  past: ['verb'],
+  participle: ['verb'],
+  gerund: ['verb'],
+  comparative: ['adj'],
+  superlative: ['adj'],
+};
+
+// Irregular verbs: base → [past, past participle]
+const IRREGULAR_VERBS = {
+  be: ['was', 'been'],
+  begin: ['began', 'begun'],
+  break: ['broke', 'broken'],
+  bring: ['brought', 'brought'],
+  build: ['built', 'built'],
+  buy: ['bought', 'bought'],
+  catch: ['caught', 'caught'],
+  choose: ['chose', 'chosen'],
+  come: ['came', 'come'],
+  do: ['did', 'done'],
+  draw: ['drew', 'drawn'],
+  drink: ['drank', 'drunk'],
+  drive: ['drove', 'driven'],
+  eat: ['ate', 'eaten'],
+  fall: ['fell', 'fallen'],
+  feel: ['felt', 'felt'],
+  fight: ['fought', 'fought'],
+  find: ['found', 'found'],
+  fly: ['flew', 'flown'],
+  forget: ['forgot', 'forgotten'],
+  get: ['got', 'gotten'],
+  give: ['gave', 'given'],
+  go: ['went', 'gone'],
+  grow: ['grew', 'grown'],
+  have: ['had', 'had'],
+  hear: ['heard', 'heard'],
+  hide: ['hid', 'hidden'],
+  hold: ['held', 'held'],
+  keep: ['kept', 'kept'],
+  know: ['knew', 'known'],
+  lead: ['led', 'led'],
+  leave: ['left', 'left'],
+  lie: ['lay', 'lain'],
+  lose: ['lost', 'lost'],
+  make: ['made', 'made'],
+  mean: ['meant', 'meant'],
+  meet: ['met', 'met'],
+  pay: ['paid', 'paid'],
+  ride: ['rode', 'ridden'],
+  rise: ['rose', 'risen'],
+  run: ['ran', 'run'],
+  say: ['said', 'said'],
+  see: ['saw', 'seen'],
+  seek: ['sought', 'sought'],
+  sell: ['sold', 'sold'],
+  send: ['sent', 'sent'],
+  shake: ['shook', 'shaken'],
+  sing: ['sang', 'sung'],
+  sit: ['sat', 'sat'],
+  sleep: ['slept', 'slept'],
+  speak: ['spoke', 'spoken'],
+  spend: ['spent', 'spent'],
+  stand: ['stood', 'stood'],
+  steal: ['stole', 'stolen'],
+  stride: ['strode', 'stridden'],
+  strike: ['struck', 'struck'],
+  swim: ['swam', 'swum'],
+  take: ['took', 'taken'],
+  teach: ['taught', 'taught'],
+  tell: ['told', 'told'],
+  think: ['thought', 'thought'],
+  throw: ['threw', 'thrown'],
+  understand: ['understood', 'understood'],
+  wake: ['woke', 'woken'],
+  wear: ['wore', 'worn'],
+  win: ['won', 'won'],
+  write: ['wrote', 'written'],
+};
+
+// Irregular adjectives: base → [comparative, superlative]
+const IRREGULAR_ADJECTIVES = {
+  good: ['better', 'best'],
+  bad: ['worse', 'worst'],
+  far: ['farther', 'farthest'],
+  little: ['less', 'least'],
+};
+
+// A perfect or passive auxiliary ending the text before a verb, allowing a
+// negation or adverb in between ("has walked", "hadn't yet run", "they've
+// come", "was taken", "is being watched")
+const PARTICIPLE_AUXILIARY = new RegExp(
+  "(?:\\b(?:have|has|had|having|am|is|are|was|were|be|been|being|get|gets|got|gotten)(?:n['’]t)?|['’](?:ve|re|s))" +
+  '(?:\\s+(?:not|never|already|just|yet|ever|always|also|recently|finally|often|being))*\\s+$', 'i');
+
+// Two-syllable verbs stressed on the last syllable, which double their final
+// consonant like one-syllable words do (prefer → preferred, admit → admitted)
+const FINAL_STRESS = new Set([
+  'abhor', 'acquit', 'admit', 'allot', 'begin', 'commit', 'compel', 'concur', 'confer',
+  'control', 'defer', 'deter', 'dispel', 'emit', 'equip', 'excel', 'expel', 'extol',
+  'forbid', 'forget', 'impel', 'incur', 'infer', 'occur', 'omit', 'patrol', 'permit',
+  'prefer', 'propel', 'rebel', 'recur', 'refer', 'regret', 'remit', 'repel', 'submit',
+  'transfer', 'transmit', 'upset',
+]);
+
+// Reverse lookups: inflected form → [{ lemma, form }]
+const IRREGULAR_FORMS = new Map();
+
+function addIrregularForm(inflected, lemma, form) {
+  if (!IRREGULAR_FORMS.has(inflected)) {
+    IRREGULAR_FORMS.set(inflected, []);
+  }
+  IRREGULAR_FORMS.get(inflected).push({ lemma, form });
+}
+
+for (const [lemma, [past, participle]] of Object.entries(IRREGULAR_VERBS)) {
+  addIrregularForm(past, lemma, 'past');
+  if (participle !== past && participle !== lemma) {
+    addIrregularForm(participle, lemma, 'participle');
+  }
+}
+
+for (const [lemma, [comparative, superlative]] of Object.entries(IRREGULAR_ADJECTIVES)) {
+  addIrregularForm(comparative, lemma, 'comparative');
+  addIrregularForm(superlative, lemma, 'superlative');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Rough syllable count (vowel groups, ignoring a silent final e)
+ */
+export function countSyllables(word) {
+  const groups = (word.match(/[aeiouy]+/g) || []).length;
+  return /[^aeiouyl]e$/.test(word) && groups > 1 ? groups - 1 : Math.max(groups, 1);
+}
+
+/**
+ * Check whether the final consonant doubles before a vowel suffix
+ * (stop → stopped): one-syllable words ending consonant-vowel-consonant,
+ * and FINAL_STRESS verbs (prefer → preferred)
+ */
+function doublesFinalConsonant(word) {
+  if (FINAL_STRESS.has(word)) return true;
+  return countSyllables(word) === 1 && /(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(word);
+}
+
+/**
+ * Attach a vowel-initial suffix (-ed, -ing, -er, -est) with spelling rules
+ */
+function attachSuffix(word, suffix) {
+  if (suffix === 'ing') {
+    if (/ie$/.test(word)) return word.slice(0, -2) + 'ying';
+    if (/[^aeioy]e$/.test(word) && word.length > 2) return word.slice(0, -1) + 'ing';
+  } else {
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'i' + suffix;
+    if (/e$/.test(word)) return word + suffix.slice(1);
+  }
+
+  if (doublesFinalConsonant(word)) {
+    return word + word[word.length - 1] + suffix;
+  }
+  return word + suffix;
+}
+
+/**
+ * Add -s / -es / -ies
+ */
+function attachS(word) {
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + 'es';
+  return word + 's';
+}
+
+/**
+ * Comparative or superlative: -er/-est for short adjectives, more/most otherwise
+ */
+function compare(adjective, form) {
+  const index = form === 'comparative' ? 0 : 1;
+  if (IRREGULAR_ADJECTIVES[adjective]) {
+    return IRREGULAR_ADJECTIVES[adjective][index];
+  }
+
+  const syllables = countSyllables(adjective);
+  if (syllables === 1 || (syllables === 2 && /y$/.test(adjective))) {
+    return attachSuffix(adjective, index === 0 ? 'er' : 'est');
+  }
+  return (index === 0 ? 'more ' : 'most ') + adjective;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Check whether a word in `form` can belong to a vocabulary entry with `pos`
+ * Entries with no or unknown pos (custom vocabulary) are always allowed.
+ */
+export function formAllowsPos(form, pos) {
+  const allowed = FORM_POS[form];
+  return !allowed || !pos || pos === 'unknown' || allowed.includes(pos);
+}
+
+/**
+ * Possible analyses of a word as [{ lemma, form }], most literal first
+ * Suffix rules over-generate ("hoped" → "hop", "hope"); callers keep the
+ * analysis whose lemma is actually in the vocabulary.
+ */
+export function lemmatize(word) {
+  const lower = word.toLowerCase();
+  const analyses = [{ lemma: lower, form: 'base' }];
+  const add = (lemma, form) => {
+    if (lemma.length > 1 && !analyses.some(a => a.lemma === lemma && a.form === form)) {
+      analyses.push({ lemma, form });
+    }
+  };
+
+  for (const analysis of IRREGULAR_FORMS.get(lower) || []) {
+    add(analysis.lemma, analysis.form);
+  }
+
+  // Vowel-initial suffixes: stem, stem + e, undoubled stem, y-stem
+  const suffixRules = [
+    ['ed', 'past'],
+    ['ing', 'gerund'],
+    ['er', 'comparative'],
+    ['est', 'superlative'],
+  ];
+
+  for (const [suffix, form] of suffixRules) {
+    if (!lower.endsWith(suffix) || lower.length < suffix.length + 2) continue;
+    const stem = lower.slice(0, -suffix.length);
+
+    if (suffix === 'ing' && stem.endsWith('y')) add(stem.slice(0, -1) + 'ie', form);
+    if (suffix !== 'ing' && stem.endsWith('i')) add(stem.slice(0, -1) + 'y', form);
+    add(stem, form);
+    add(stem + 'e', form);
+    if (/([^aeiou])\1$/.test(stem)) add(stem.slice(0, -1), form);
+  }
+
+  // -s / -es / -ies
+  if (lower.endsWith('ies') && lower.length > 4) {
+    add(lower.slice(0, -3) + 'y', 's');
+  } else if (/(s|x|z|ch|sh|o)es$/.test(lower)) {
+    add(lower.slice(0, -2), 's');
+  }
+  if (/[^su']s$/.test(lower) && !/(ss|us|is)$/.test(lower)) {
+    add(lower.slice(0, -1), 's');
+  }
+
+  return analyses;
+}
+
+/**
+ * Form a word actually takes given the text before it and its tag
+ * After a perfect or passive auxiliary a verb is a past participle, whatever
+ * its surface analysis: regular "-ed" words are analyzed as past tense
+ * ("has walked" needs "has stridden", not "has strode") and participles
+ * that look like the base form as base ("has run" needs "has sprinted").
+ */
+export function formInContext(form, textBefore, tag = null) {
+  const verb = form === 'past' || form === 'participle' || (form === 'base' && tag === 'verb');
+  return verb && PARTICIPLE_AUXILIARY.test(textBefore) ? 'participle' : form;
+}
+
+/**
+ * Generate `form` of a base-form word (the inverse of lemmatize)
+ * Multi-word verbs inflect their head ("look into" → "looked into").
+ */
+export function inflect(word, form) {
+  if (form === 'base') return word;
+
+  if (form === 'comparative' || form === 'superlative') {
+    return compare(word, form);
+  }
+
+  const space = word.indexOf(' ');
+  if (space !== -1) {
+    return inflect(word.slice(0, space), form) + word.slice(space);
+  }
+
+  const irregular = IRREGULAR_VERBS[word];
+  switch (form) {
+    case 's':
+      return word === 'be' ? 'is' : word === 'have' ? 'has' : attachS(word);
+    case 'past':
+      return irregular ? irregular[0] : attachSuffix(word, 'ed');
+    case 'participle':
+      return irregular ? irregular[1] : attachSuffix(word, 'ed');
+    case 'gerund':
+      return attachSuffix(word, 'ing');
+    default:
+      return word;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Negation Scope - Complexity Injector (ES Module)
+ *
+ * Decides whether a target word sits inside the scope of a negator or a
+ * diminisher. Scope never crosses a clause boundary (punctuation or a
+ * clause-joining conjunction), so the "not" in "It is not small, but big"
+ * leaves "big" alone. Handled:
+ * - negators before the target, including contractions ("isn't", "won't")
+ * - clause-final negators after it ("big it was not")
+ * - diminishers, including multi-word ones ("kind of big")
+ * - "not only / just / merely", which focuses rather than negates
+ */
+
+import { CONFIG, NegatorWords, DiminisherWords } from '../data.js';
+
+// Words that end a clause: negation doesn't carry past them ("so" is left
+// out, it is usually an intensifier: "not so big")
+const CLAUSE_CONJUNCTIONS = new Set([
+  'and', 'or', 'but', 'yet', 'although', 'though', 'because', 'while',
+  'whereas', 'unless', 'since', 'however',
+]);
+const CLAUSE_PUNCTUATION = new Set([',', ';', ':', '.', '!', '?', '(', ')', '--', '–', '—']);
+
+// Words after "not" that make it a focus marker ("not only big but also fast")
+const FOCUS_WORDS = new Set(['only', 'just', 'merely']);
+
+// Negators that can close a clause after the target ("big it was not")
+const POST_NEGATORS = new Set(['not', 'never']);
+
+const DIMINISHER_PHRASES = [...DiminisherWords].map(phrase => phrase.split(' '));
+
+/**
+ * Check whether a word negates ("not", "never", any "-n't" contraction)
+ */
+function isNegator(word) {
+  return NegatorWords.has(word) || /n't$/.test(word);
+}
+
+/**
+ * Words of a sentence as [{ lower, start, end, clause }], where `clause`
+ * numbers the clause each word belongs to
+ */
+function clauseTokens(sentence) {
+  const tokens = [];
+  const regex = /[A-Za-z]+(?:'[A-Za-z]+)*|--|[,;:.!?()–—]/g;
+  const text = sentence.replace(/’/g, "'");
+  let clause = 0;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const lower = match[0].toLowerCase();
+    if (CLAUSE_PUNCTUATION.has(lower) || CLAUSE_CONJUNCTIONS.has(lower)) {
+      clause++;
+      continue;
+    }
+    tokens.push({ lower, start: match.index, end: match.index + match[0].length, clause });
+  }
+
+  return tokens;
+}
+
+/**
+ * Diminisher phrase ending at token `i`, as its token count, or 0
+ */
+function diminisherEndingAt(tokens, i) {
+  for (const words of DIMINISHER_PHRASES) {
+    const from = i - words.length + 1;
+    if (from >= 0 && tokens[from].clause === tokens[i].clause &&
+        words.every((word, k) => tokens[from + k].lower === word)) {
+      return words.length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Find the negator or diminisher whose scope covers [targetStart, targetEnd)
+ * A negator before the target governs the rest of its clause, up to
+ * CONFIG.NEGATION_SCOPE_WORDS words; a clause-final negator after the
+ * target governs the clause up to it. Returns
+ * { type, negator, negatorStart, negatorEnd, scopeStart, scopeEnd } with
+ * type 'negator', 'post-negator' or 'diminisher', or null.
+ */
+export function findNegationScope(sentence, targetStart, targetEnd) {
+  const tokens = clauseTokens(sentence);
+  const first = tokens.findIndex(token => token.end > targetStart);
+  const last = tokens.findLastIndex(token => token.start < targetEnd);
+  if (first === -1 || last < first) return null;
+
+  const { clause } = tokens[first];
+  const maxWords = CONFIG.NEGATION_SCOPE_WORDS;
+  const inClause = i => i >= 0 && i < tokens.length && tokens[i].clause === clause;
+
+  const scope = (type, from, to, scopeFrom, scopeTo) => ({
+    type,
+    negator: sentence.substring(tokens[from].start, tokens[to].end),
+    negatorStart: tokens[from].start,
+    negatorEnd: tokens[to].end,
+    scopeStart: tokens[scopeFrom].start,
+    scopeEnd: tokens[scopeTo].end,
+  });
+
+  // Before the target, nearest first
+  for (let i = first - 1; inClause(i) && first - i <= maxWords; i--) {
+    let scopeEnd = i;
+    while (inClause(scopeEnd + 1) && scopeEnd + 1 - i <= maxWords) scopeEnd++;
+
+    const { lower } = tokens[i];
+    if (isNegator(lower) && !(i + 1 < first && FOCUS_WORDS.has(tokens[i + 1].lower))) {
+      return scope('negator', i, i, i, scopeEnd);
+    }
+
+    const length = diminisherEndingAt(tokens, i);
+    if (length > 0) {
+      return scope('diminisher', i - length + 1, i, i - length + 1, scopeEnd);
+    }
+  }
+
+  // After the target: a negator that closes the clause
+  for (let j = last + 1; inClause(j) && j - last <= maxWords; j++) {
+    const { lower } = tokens[j];
+    if ((POST_NEGATORS.has(lower) || /n't$/.test(lower)) && !inClause(j + 1)) {
+      let scopeStart = first;
+      while (inClause(scopeStart - 1)) scopeStart--;
+      return scope('post-negator', j, j, scopeStart, j);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,1891 @@
+/**
+ * Pipeline Module - Complexity Injector (ES Module)
+ *
+ * The single implementation of the V8 Pipeline logic from unified_complexifier_v2.py.
+ * Every entry point (offscreen document, dedicated worker, Node) builds its
+ * pipeline with createPipeline() and a host adapter from hosts.js, so they all
+ * produce identical verdicts and BlockReasons.
+ *
+ * Layers: Antonym → Embedding Similarity → Proper Noun → Idiom → Negation →
+ *         Part of Speech → Context Vector → Word Sense → Syntax (masked LM) →
+ *         Semantic → Collocation (neighbour words)
+ *
+ * The pipeline runs in either direction (see Direction in data.js): complexify
+ * looks candidates up in the vocabulary, simplify in the vocabulary inverted
+ * (GRE word → plain words); every layer is shared.
+ *
+ * In open-vocabulary mode, words outside the vocabulary are also targeted:
+ * the masked LM proposes candidates at the position (see proposeCandidates)
+ * and they run through the same layers.
+ *
+ * Proper noun, idiom and negation checks, the POS tag, the context vector, the
+ * selected sense and the masked-LM distribution depend only on the target
+ * position, so they are computed once per position (see analyzePosition) and
+ * shared by all of its candidates.
+ *
+ * Host adapter shape:
+ *   {
+ *     name,                                 // Log prefix, e.g. 'Offscreen'
+ *     loadPipeline(task, model, options),   // Transformers.js pipeline() factory
+ *     reportStatus(status, message),        // 'loading' | 'caching' | 'ready' | 'error'
+ *   }
+ */
+
+import {
+  CONFIG,
+  BlockReason,
+  Direction,
+  Occurrences,
+  GREVocabularyDatabase,
+  AntonymScales,
+  IdiomDatabase,
+  ProperNounPatterns,
+  NegatorWords,
+  DiminisherWords,
+  IntensifierWords,
+  getZipfFrequency,
+  getDifficultyTier,
+  getToneFit,
+} from '../data.js';
+import {
+  buildSegments,
+  locateNode,
+  splitSentences,
+  getContextWindow,
+  clampToWords,
+} from './segmenter.js';
+import { createMaskedLM, MASK_TOKEN, UNSCORED } from './masked_lm.js';
+import { lemmatize, inflect, formAllowsPos, formInContext } from './morphology.js';
+import { tagSentence, tagSpan, tagMatchesPos } from './pos_tagger.js';
+import { repairSubstitution } from './repair.js';
+import { matchIdiom } from './idioms.js';
+import { findNegationScope } from './negation.js';
+import { findEntity } from './entities.js';
+import { findAntonym, scalesOf } from './antonyms.js';
+import { findNeighbours, isAttested } from './collocations.js';
+import { textStats, changeStats, scoreReadability, selectToGrade } from './readability.js';
+
+const MODEL_NAME = 'Xenova/distilbert-base-uncased';
+
+// Longest vocabulary phrase key, in words ("very big", "look into")
+const MAX_PHRASE_WORDS = 3;
+
+// Tags of the content words open-vocabulary mode may target
+const OPEN_VOCAB_TAGS = new Set(['noun', 'verb', 'adj', 'adv']);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Escape string for use in regex
+ */
+export function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Punctuation stripped from the edges of whitespace-delimited tokens
+const EDGE_PUNCTUATION = `.,!?;:'"()\\[\\]\u201C\u201D\u2018\u2019-`;
+const LEADING_PUNCTUATION = new RegExp(`^[${EDGE_PUNCTUATION}]+`);
+const TRAILING_PUNCTUATION = new RegExp(`[${EDGE_PUNCTUATION}]+$`);
+
+/**
+ * Strip surrounding punctuation from a whitespace token and lowercase it
+ */
+export function cleanWord(word) {
+  return word.toLowerCase().replace(/[.,!?;:'\"()-]/g, '');
+}
+
+/**
+ * Split text into word tokens with character offsets
+ * Each token is { text, clean, start, end } where start/end cover the word
+ * itself, without leading or trailing punctuation.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const regex = /\S+/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const raw = match[0];
+    const leading = raw.match(LEADING_PUNCTUATION)?.[0].length || 0;
+    const trailing = raw.slice(leading).match(TRAILING_PUNCTUATION)?.[0].length || 0;
+    const word = raw.slice(leading, raw.length - trailing);
+    if (!word) continue;
+
+    const start = match.index + leading;
+    tokens.push({ text: word, clean: cleanWord(word), start, end: start + word.length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the character offset of the first whole-word occurrence of a word
+ */
+export function findWordIndex(text, word) {
+  const match = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').exec(text);
+  return match ? match.index : -1;
+}
+
+/**
+ * Carry the capitalization of the original word over to its replacement
+ */
+export function matchCase(original, replacement) {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return replacement.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Lemma of a word as listed in the frequency table (the word itself if
+ * none of its analyses is listed)
+ */
+export function frequencyLemma(word) {
+  const analysis = lemmatize(word).find(({ lemma }) => getZipfFrequency(lemma) > 0);
+  return analysis ? analysis.lemma : word.toLowerCase();
+}
+
+/**
+ * Check whether a token may be an open-vocabulary target
+ * Content words only, and only those in the frequency table: proposals must
+ * be rarer than the original, which can't be judged for unlisted words
+ * (and those are usually rare already).
+ */
+export function isOpenTarget(word, tag) {
+  const lower = word.toLowerCase();
+  return OPEN_VOCAB_TAGS.has(tag) &&
+    lower.length > 2 &&
+    !NegatorWords.has(lower) &&
+    !DiminisherWords.has(lower) &&
+    !IntensifierWords.has(lower) &&
+    getZipfFrequency(frequencyLemma(lower)) > 0;
+}
+
+/**
+ * Ranking weights by signal, from RANK_WEIGHT_* in CONFIG
+ * `overrides` (e.g. the `weights` option of processText or
+ * findBestSubstitution) replace individual weights.
+ */
+export function rankWeights(overrides = null) {
+  return {
+    syntax: CONFIG.RANK_WEIGHT_SYNTAX,
+    semantic: CONFIG.RANK_WEIGHT_SEMANTIC,
+    similarity: CONFIG.RANK_WEIGHT_SIMILARITY,
+    rarity: CONFIG.RANK_WEIGHT_RARITY,
+    tone: CONFIG.RANK_WEIGHT_TONE,
+    ...overrides,
+  };
+}
+
+/**
+ * Combined ranking score of a passing verdict
+ * A weighted sum (see rankWeights) of syntax, semantic score, embedding
+ * similarity and rarity, each normalized to [0, 1]. Rarity comes from the
+ * candidate's Zipf frequency (`frequency`); when simplifying, commonness is
+ * rewarded instead. A `toneFit` (see getToneFit) adds the tone weight on top
+ * when a tone preset is selected.
+ */
+export function rankScore(result, direction = Direction.COMPLEXIFY, weights = rankWeights()) {
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  const syntax = clamp((result.syntaxScore - UNSCORED) / -UNSCORED);
+  const rarity = clamp((CONFIG.ZIPF_CEILING - result.frequency) / CONFIG.ZIPF_CEILING);
+
+  return weights.syntax * syntax +
+    weights.semantic * clamp(result.semanticScore) +
+    weights.similarity * clamp(result.similarity) +
+    weights.rarity * (direction === Direction.SIMPLIFY ? 1 - rarity : rarity) +
+    weights.tone * (result.toneFit || 0);
+}
+
+/**
+ * Move a substitution and its edits by `delta` characters
+ */
+export function shiftChange(sub, delta) {
+  return {
+    ...sub,
+    start: sub.start + delta,
+    end: sub.end + delta,
+    edits: (sub.edits || []).map(edit => ({ ...edit, start: edit.start + delta, end: edit.end + delta })),
+  };
+}
+
+/**
+ * Apply offset-based substitutions (non-overlapping) to text, together with
+ * the repair edits recorded on each of them
+ */
+export function applySubstitutions(text, substitutions) {
+  const changes = substitutions
+    .flatMap(sub => [sub, ...(sub.edits || [])])
+    .sort((a, b) => a.start - b.start);
+
+  let result = '';
+  let cursor = 0;
+
+  for (const change of changes) {
+    result += text.substring(cursor, change.start) + matchCase(change.original, change.replacement);
+    cursor = change.end;
+  }
+
+  return result + text.substring(cursor);
+}
+
+/**
+ * Compute cosine similarity between two embeddings
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+
+  return dot; // Vectors are already normalized
+}
+
+/**
+ * Normalized mean of a set of vectors (e.g. a sense prototype)
+ */
+export function meanVector(vectors) {
+  const mean = new Float32Array(vectors[0].length);
+  for (const vector of vectors) {
+    for (let i = 0; i < mean.length; i++) {
+      mean[i] += vector[i];
+    }
+  }
+
+  const norm = Math.hypot(...mean) || 1;
+  return mean.map(x => x / norm);
+}
+
+// ============================================================================
+// LAYER 0: FAST CHECKS (Non-AI)
+// ============================================================================
+
+/**
+ * Check if two words are antonyms (indexed pairs and scales, by lemma;
+ * see antonyms.js)
+ */
+export function isAntonym(word1, word2) {
+  return findAntonym(word1, word2) !== null;
+}
+
+/**
+ * Check if the occurrence of a word at `targetStart` is part of an idiom
+ * Entries are looked up under each lemma of the word ("ran" → "run") and
+ * matched as patterns anchored on that occurrence (see idioms.js). Returns
+ * { isIdiom, meaning, pattern, start, end } with the idiom's span.
+ */
+export function checkIdiom(sentence, targetWord, targetStart = findWordIndex(sentence, targetWord)) {
+  if (targetStart !== -1) {
+    for (const { lemma } of lemmatize(targetWord)) {
+      if (!IdiomDatabase[lemma]) continue;
+
+      const match = matchIdiom(sentence, targetStart, lemma, IdiomDatabase[lemma]);
+      if (match) {
+        return { isIdiom: true, ...match };
+      }
+    }
+  }
+
+  return { isIdiom: false, meaning: null };
+}
+
+/**
+ * Check if the occurrence of a word at `targetStart` is part of a name
+ * Heuristic NER (see entities.js) over `gazetteer` (known names; the
+ * pipeline adds user entries to ProperNounPatterns), titles and
+ * capitalization. Returns { isProperNoun, reason, entity, start, end } with
+ * the name's span.
+ */
+export function checkProperNoun(sentence, targetWord, targetStart = findWordIndex(sentence, targetWord),
+  gazetteer = ProperNounPatterns) {
+  const match = targetStart === -1 ? null : findEntity(sentence, targetStart, gazetteer);
+  return match ? { isProperNoun: true, ...match } : { isProperNoun: false, reason: null };
+}
+
+/**
+ * Check for negation context
+ *
+ * `targetStart` is the offset of the occurrence being scored; without it the
+ * first whole-word occurrence is used. A negated target gets the `scope`
+ * that blocked it (see negation.js): the negator, its type and offsets.
+ * Returns `expanded` (and its offset) covering "intensifier word" when an
+ * intensifier directly precedes the target; the pipeline replaces that span
+ * only when it is a vocabulary phrase ("very big", not "too big").
+ */
+export function checkNegation(sentence, targetWord, targetStart = findWordIndex(sentence, targetWord)) {
+  const notNegated = { isNegated: false, scope: null, expanded: targetWord, expandedStart: targetStart };
+
+  if (targetStart === -1) {
+    return notNegated;
+  }
+
+  const scope = findNegationScope(sentence, targetStart, targetStart + targetWord.length);
+  if (scope) {
+    return { ...notNegated, isNegated: true, scope };
+  }
+
+  const precedingText = sentence.substring(0, targetStart).toLowerCase();
+
+  // Check for intensifiers directly before the target (expand context)
+  const lastWord = precedingText.match(/(\S+)\s+$/);
+  if (lastWord && IntensifierWords.has(lastWord[1])) {
+    const expandedStart = lastWord.index;
+    return {
+      isNegated: false,
+      scope: null,
+      expanded: sentence.substring(expandedStart, targetStart + targetWord.length),
+      expandedStart,
+    };
+  }
+
+  return notNegated;
+}
+
+// ============================================================================
+// PIPELINE FACTORY
+// ============================================================================
+
+/**
+ * Create a pipeline instance bound to a host adapter
+ */
+export function createPipeline(host) {
+  const tag = `[${host.name || 'Pipeline'}]`;
+
+  const State = {
+    modelLoaded: false,
+    modelLoading: false,
+    extractor: null,               // Feature extraction pipeline for embeddings
+    fillMask: null,                // Fill-mask pipeline for syntax scoring
+    maskedLM: null,                // Batched masked-LM scorer over fillMask
+    embeddingCache: new Map(),     // word -> embedding array
+    contextCache: new Map(),       // word -> [context vectors from examples]
+    senseCache: new Map(),         // lemma -> [{ sense, prototype }] | null
+    polarityAxes: null,            // [{ scale, axis }] from AntonymScales, built on first use
+    customVocabulary: new Map(),   // User-uploaded vocabulary
+    customNames: new Set(),        // User gazetteer entries (never replaced)
+    simplifyVocabulary: null,      // Inverted vocabulary, built on first use
+    simplifyPrepared: false,       // Inverted candidates' vectors are cached
+  };
+
+  // ==========================================================================
+  // INITIALIZATION
+  // ==========================================================================
+
+  /**
+   * Load the model and pre-compute vocabulary embeddings
+   */
+  async function initialize() {
+    await loadModel();
+    await precomputeVocabulary();
+    return { success: true, message: 'Initialized successfully' };
+  }
+
+  /**
+   * Load DistilBERT pipelines through the host
+   * Uses feature-extraction for embeddings, fill-mask for syntax scoring
+   */
+  async function loadModel() {
+    if (State.modelLoaded || State.modelLoading) return;
+
+    State.modelLoading = true;
+
+    try {
+      host.reportStatus('loading', 'Loading feature extraction model...');
+      State.extractor = await host.loadPipeline('feature-extraction', MODEL_NAME, {
+        quantized: true,
+      });
+
+      host.reportStatus('loading', 'Loading fill-mask model...');
+      State.fillMask = await host.loadPipeline('fill-mask', MODEL_NAME, {
+        quantized: true,
+      });
+      State.maskedLM = createMaskedLM(State.fillMask, { batchSize: CONFIG.MASKED_LM_BATCH_SIZE });
+
+      State.modelLoaded = true;
+      State.modelLoading = false;
+
+      host.reportStatus('ready', 'Models loaded successfully');
+      console.log(tag, 'Models loaded successfully');
+
+    } catch (error) {
+      State.modelLoading = false;
+      host.reportStatus('error', `Failed to load model: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pre-compute embeddings for all vocabulary words
+   */
+  async function precomputeVocabulary() {
+    if (!State.modelLoaded) return;
+
+    host.reportStatus('caching', 'Pre-computing embeddings...');
+
+    const allWords = new Set();
+    for (const [simpleWord, candidates] of getVocabularyEntries()) {
+      allWords.add(simpleWord);
+      for (const candidate of candidates) {
+        allWords.add(candidate.word);
+      }
+    }
+
+    let processed = 0;
+    const total = allWords.size;
+
+    for (const word of allWords) {
+      await getEmbedding(word);
+      processed++;
+
+      if (processed % 20 === 0) {
+        host.reportStatus('caching', `Pre-computing embeddings... ${Math.round(processed / total * 100)}%`);
+      }
+    }
+
+    // Pre-compute context vectors from examples
+    for (const [, candidates] of getVocabularyEntries()) {
+      for (const candidate of candidates) {
+        await precomputeContextVectors(candidate);
+      }
+    }
+
+    host.reportStatus('ready', 'Embeddings cached');
+  }
+
+  /**
+   * Pre-compute context vectors from a candidate's example sentences
+   */
+  async function precomputeContextVectors(candidate) {
+    const key = candidate.word.toLowerCase();
+    if (State.contextCache.has(key)) return;
+
+    const contextVectors = [];
+    for (const example of (candidate.examples || []).slice(0, 3)) {
+      const vector = await getContextVector(example);
+      if (vector) {
+        contextVectors.push(vector);
+      }
+    }
+
+    if (contextVectors.length > 0) {
+      State.contextCache.set(key, contextVectors);
+    }
+  }
+
+  // ==========================================================================
+  // EMBEDDING & SCORING FUNCTIONS
+  // ==========================================================================
+
+  /**
+   * Get embedding for a single word using feature-extraction pipeline
+   */
+  async function getEmbedding(word) {
+    const lower = word.toLowerCase();
+
+    if (State.embeddingCache.has(lower)) {
+      return State.embeddingCache.get(lower);
+    }
+
+    if (!State.modelLoaded || !State.extractor) {
+      return null;
+    }
+
+    try {
+      // pooling: 'mean' averages all token embeddings into one vector
+      const output = await State.extractor(word, { pooling: 'mean', normalize: true });
+      const embedding = new Float32Array(output.data);
+
+      State.embeddingCache.set(lower, embedding);
+      return embedding;
+
+    } catch (error) {
+      console.error(tag, `Error getting embedding for "${word}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Polarity axes, one per antonym scale: the normalized difference between
+   * the mean embeddings of its high and low sides
+   */
+  async function getPolarityAxes() {
+    if (State.polarityAxes) return State.polarityAxes;
+
+    const axes = [];
+    for (const { name, low, high } of AntonymScales) {
+      const sides = [];
+      for (const words of [low, high]) {
+        const vectors = [];
+        for (const word of words) {
+          const embedding = await getEmbedding(word);
+          if (embedding) vectors.push(embedding);
+        }
+        sides.push(vectors.length > 0 ? meanVector(vectors) : null);
+      }
+
+      const [lowMean, highMean] = sides;
+      if (!lowMean || !highMean) continue;
+
+      const axis = highMean.map((x, i) => x - lowMean[i]);
+      const norm = Math.hypot(...axis) || 1;
+      axes.push({ scale: name, axis: axis.map(x => x / norm) });
+    }
+
+    if (State.modelLoaded) State.polarityAxes = axes;
+    return axes;
+  }
+
+  /**
+   * Model-assisted antonym check: does the candidate lean to the other side
+   * of the original's polarity axis, both by at least POLARITY_MIN? Catches
+   * antonyms missing from the index ("balmy" vs "nippy"). The axes are the
+   * scales the original sits on, else the one it leans on most. Returns
+   * { scale, originalPolarity, candidatePolarity } or null.
+   */
+  async function checkPolarity(original, embOriginal, embCandidate) {
+    if (!embOriginal || !embCandidate) return null;
+
+    const axes = (await getPolarityAxes())
+      .map(({ scale, axis }) => ({ scale, axis, originalPolarity: cosineSimilarity(embOriginal, axis) }));
+    if (axes.length === 0) return null;
+
+    const own = scalesOf(original);
+    const relevant = own.length > 0
+      ? axes.filter(({ scale }) => own.includes(scale))
+      : [axes.reduce((a, b) => (Math.abs(b.originalPolarity) > Math.abs(a.originalPolarity) ? b : a))];
+
+    for (const { scale, axis, originalPolarity } of relevant) {
+      const candidatePolarity = cosineSimilarity(embCandidate, axis);
+
+      if (originalPolarity * candidatePolarity < 0 &&
+          Math.min(Math.abs(originalPolarity), Math.abs(candidatePolarity)) >= CONFIG.POLARITY_MIN) {
+        return { scale, originalPolarity, candidatePolarity };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get mean-pooled context vector for a sentence
+   */
+  async function getContextVector(sentence) {
+    if (!State.modelLoaded || !State.extractor) {
+      return null;
+    }
+
+    try {
+      const output = await State.extractor(sentence, { pooling: 'mean', normalize: true });
+      return new Float32Array(output.data);
+
+    } catch (error) {
+      console.error(tag, 'Error getting context vector:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the sense prototypes of a lemma: for each sense group, the mean of
+   * the example context vectors of its candidates
+   * Returns null when the lemma has fewer than two senses.
+   */
+  function getSensePrototypes(lemma) {
+    if (State.senseCache.has(lemma)) {
+      return State.senseCache.get(lemma);
+    }
+
+    const groups = new Map();
+    for (const candidate of getCandidates(lemma)) {
+      const vectors = State.contextCache.get(candidate.word.toLowerCase());
+      if (!candidate.sense || !vectors) continue;
+
+      if (!groups.has(candidate.sense)) {
+        groups.set(candidate.sense, []);
+      }
+      groups.get(candidate.sense).push(...vectors);
+    }
+
+    const prototypes = groups.size < 2
+      ? null
+      : [...groups].map(([sense, vectors]) => ({ sense, prototype: meanVector(vectors) }));
+
+    State.senseCache.set(lemma, prototypes);
+    return prototypes;
+  }
+
+  /**
+   * Pick the sense of a position whose prototype best matches its context
+   * Returns null (no restriction) for single-sense words, when the best
+   * sense doesn't beat the runner-up by SENSE_MARGIN, and when simplifying
+   * (sense groups only exist on the complexify side).
+   */
+  function selectSense(position) {
+    if (position.direction !== Direction.COMPLEXIFY) {
+      return null;
+    }
+
+    const prototypes = getSensePrototypes(position.lemma);
+    if (!prototypes || !position.contextVector) {
+      return null;
+    }
+
+    const ranked = prototypes
+      .map(({ sense, prototype }) => ({ sense, score: cosineSimilarity(position.contextVector, prototype) }))
+      .sort((a, b) => b.score - a.score);
+
+    return ranked[0].score - ranked[1].score >= CONFIG.SENSE_MARGIN ? ranked[0].sense : null;
+  }
+
+  /**
+   * Fill in the masked-LM distribution of every position that lacks one
+   * All pending positions go through the model together, in batches.
+   */
+  async function computeMaskDistributions(positions) {
+    const pending = positions.filter(p => p.distribution === undefined);
+    if (pending.length === 0) return;
+
+    for (const position of pending) {
+      position.distribution = null;
+    }
+
+    const maskable = pending.filter(p => p.maskedSentence);
+    if (maskable.length === 0 || !State.maskedLM) return;
+
+    try {
+      const distributions = await State.maskedLM.maskDistributions(maskable.map(p => p.maskedSentence));
+      maskable.forEach((position, i) => {
+        position.distribution = distributions[i];
+      });
+    } catch (error) {
+      console.error(tag, 'Error scoring syntax:', error);
+    }
+  }
+
+  /**
+   * Pseudo-perplexity of a sentence: exp of its negated mean masked-token
+   * log-probability (lower reads more fluently); null when it can't be scored
+   */
+  async function sentencePerplexity(sentence) {
+    if (!State.maskedLM) return null;
+
+    try {
+      const logLikelihood = await State.maskedLM.textPseudoLogLikelihood(sentence);
+      return logLikelihood === null ? null : Math.exp(-logLikelihood);
+    } catch (error) {
+      console.error(tag, 'Error scoring fluency:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Score how well a candidate fits the masked position
+   * Single-wordpiece candidates are read off the position's shared mask
+   * distribution; multi-wordpiece candidates use pseudo-log-likelihood.
+   */
+  async function scoreSyntax(position, candidate) {
+    if (!position.maskedSentence) return UNSCORED;
+
+    if (State.maskedLM.tokenIds(candidate).length > 1) {
+      try {
+        return await State.maskedLM.pseudoLogLikelihood(position.maskedSentence, candidate);
+      } catch (error) {
+        console.error(tag, 'Error scoring syntax:', error);
+        return UNSCORED;
+      }
+    }
+
+    await computeMaskDistributions([position]);
+    return State.maskedLM.scoreCandidate(position.distribution, candidate);
+  }
+
+  /**
+   * Content-word neighbours of a position's span, within its own sentence
+   * (the scoring window may hold neighbouring sentences too). Computed once
+   * per position; each neighbour caches its masked-LM scores by the word in
+   * the span ({ original, scores: Map(replacement → log-prob) }).
+   */
+  function getNeighbours(position) {
+    if (position.neighbours === undefined) {
+      const spanEnd = position.targetStart + position.original.length;
+      const own = splitSentences(position.sentence)
+        .find(span => span.start <= position.spanStart && spanEnd <= span.end) ||
+        { start: 0, end: position.sentence.length };
+      const text = position.sentence.substring(own.start, own.end);
+
+      position.neighbours = {
+        text,
+        spanStart: position.spanStart - own.start,
+        spanEnd: spanEnd - own.start,
+        list: findNeighbours(text, position.spanStart - own.start, spanEnd - own.start)
+          .map(neighbour => ({ ...neighbour, scores: new Map() })),
+      };
+    }
+    return position.neighbours;
+  }
+
+  /**
+   * Check a replacement against the content words right next to its span
+   * A candidate the Collocations table attests with either neighbour passes
+   * ("leisurely walk" after "took") without touching the model. Otherwise
+   * each neighbour is masked and scored by the masked LM in the target's
+   * sentence, with the original and with the replacement in place (both
+   * cached on the position): a drop below COLLOCATION_FLOOR makes the
+   * pairing implausible. Returns { neighbour, side, score } (the drop) for
+   * the first implausible neighbour, or null.
+   */
+  async function checkCollocation(position, candidate, replacement) {
+    if (!position.maskedSentence || !State.maskedLM) return null;
+
+    const { text, spanStart, spanEnd, list } = getNeighbours(position);
+    if (list.some(neighbour => isAttested(candidate, neighbour.text))) return null;
+
+    // Log-prob of a neighbour, masked, with `word` in the span
+    const neighbourScore = async (neighbour, word) => {
+      if (!neighbour.scores.has(word)) {
+        const filled = text.substring(0, spanStart) + word + text.substring(spanEnd);
+        const offset = neighbour.side === 'right' ? filled.length - text.length : 0;
+        const masked = filled.substring(0, neighbour.start + offset) + MASK_TOKEN +
+          filled.substring(neighbour.end + offset);
+        neighbour.scores.set(word, await State.maskedLM.pseudoLogLikelihood(masked, neighbour.text));
+      }
+      return neighbour.scores.get(word);
+    };
+
+    for (const neighbour of list) {
+      try {
+        const originalScore = await neighbourScore(neighbour, text.substring(spanStart, spanEnd));
+        if (originalScore === UNSCORED) continue;
+
+        const score = await neighbourScore(neighbour, replacement) - originalScore;
+        if (score < CONFIG.COLLOCATION_FLOOR) {
+          return { neighbour: neighbour.text, side: neighbour.side, score };
+        }
+      } catch (error) {
+        console.error(tag, 'Error scoring collocation:', error);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  // ==========================================================================
+  // VOCABULARY LOOKUP
+  // ==========================================================================
+
+  /**
+   * Iterate default and custom vocabulary as [simpleWord, candidates] pairs
+   */
+  function* getVocabularyEntries() {
+    yield* Object.entries(GREVocabularyDatabase);
+    yield* State.customVocabulary.entries();
+  }
+
+  /**
+   * Get the inverted vocabulary: GRE word -> [candidates with plain words]
+   * Each plain candidate keeps the entry's pos and domain, and its examples
+   * are the GRE word's examples with the plain word put back in, so the
+   * semantic layer has contexts to compare against.
+   */
+  function getSimplifyVocabulary() {
+    if (State.simplifyVocabulary) {
+      return State.simplifyVocabulary;
+    }
+
+    const inverted = new Map();
+    for (const [simpleWord, candidates] of getVocabularyEntries()) {
+      for (const candidate of candidates) {
+        const key = candidate.word.toLowerCase();
+        if (!inverted.has(key)) {
+          inverted.set(key, []);
+        }
+        if (inverted.get(key).some(c => c.word === simpleWord)) continue;
+
+        const regex = new RegExp(`\\b${escapeRegExp(candidate.word)}\\b`, 'gi');
+        const examples = (candidate.examples || [])
+          .map(example => example.replace(regex, match => matchCase(match, simpleWord)))
+          .filter((example, i) => example !== candidate.examples[i]);
+
+        inverted.get(key).push({
+          word: simpleWord,
+          pos: candidate.pos,
+          domain: candidate.domain,
+          definition: candidate.definition,
+          examples,
+        });
+      }
+    }
+
+    State.simplifyVocabulary = inverted;
+    return inverted;
+  }
+
+  /**
+   * Get all candidates (default + custom) for a word in a direction
+   * Complexify looks up a simple word, simplify a GRE word.
+   */
+  function getCandidates(word, direction = Direction.COMPLEXIFY) {
+    const lower = word.toLowerCase();
+
+    if (direction === Direction.SIMPLIFY) {
+      return getSimplifyVocabulary().get(lower) || [];
+    }
+
+    let candidates = GREVocabularyDatabase[lower] || [];
+
+    if (State.customVocabulary.has(lower)) {
+      candidates = [...candidates, ...State.customVocabulary.get(lower)];
+    }
+
+    return candidates;
+  }
+
+  function hasCandidates(word, direction = Direction.COMPLEXIFY) {
+    if (direction === Direction.SIMPLIFY) {
+      return getSimplifyVocabulary().has(word);
+    }
+    return !!GREVocabularyDatabase[word] || State.customVocabulary.has(word);
+  }
+
+  /**
+   * Cache embeddings and example context vectors of the plain candidates
+   * Runs once, on the first simplify request; complexify candidates are
+   * cached by precomputeVocabulary.
+   */
+  async function prepareSimplify() {
+    if (State.simplifyPrepared || !State.modelLoaded) return;
+
+    for (const [, candidates] of getSimplifyVocabulary()) {
+      for (const candidate of candidates) {
+        await getEmbedding(candidate.word);
+        await precomputeContextVectors(candidate);
+      }
+    }
+
+    State.simplifyPrepared = true;
+  }
+
+  /**
+   * Resolve a (possibly inflected) word or phrase to a vocabulary lemma and its form
+   * Phrases inflect on their first word ("looked into" → "look into", past).
+   * Returns { lemma, form } for the first analysis whose lemma has a
+   * candidate of a matching part of speech, or null.
+   */
+  function resolveForm(word, direction = Direction.COMPLEXIFY) {
+    const [head, ...rest] = word.toLowerCase().split(/\s+/);
+    const tail = rest.map(w => ' ' + w).join('');
+
+    return lemmatize(head)
+      .map(({ lemma, form }) => ({ lemma: lemma + tail, form }))
+      .find(({ lemma, form }) =>
+        hasCandidates(lemma, direction) &&
+        getCandidates(lemma, direction).some(c => formAllowsPos(form, c.pos))
+      ) || null;
+  }
+
+  /**
+   * Find the longest vocabulary key (phrase or single word) starting at
+   * token `i` of `text`; phrase words may only be separated by whitespace
+   * Returns { resolved, count } where count is the number of tokens used.
+   */
+  function matchVocabulary(text, tokens, i, direction = Direction.COMPLEXIFY) {
+    for (let count = Math.min(MAX_PHRASE_WORDS, tokens.length - i); count >= 1; count--) {
+      const words = tokens.slice(i, i + count);
+      const separated = words.every((token, k) =>
+        k === 0 || /^\s+$/.test(text.substring(words[k - 1].end, token.start))
+      );
+      if (!separated) continue;
+
+      const key = words.map(token => token.clean).join(' ');
+      if (key.length < 2) continue;
+
+      const resolved = resolveForm(key, direction);
+      if (resolved) {
+        return { resolved, count };
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // MAIN PIPELINE: V8 Processing Logic
+  // ==========================================================================
+
+  /**
+   * Analyze one target occurrence
+   * Runs the position-level layers (proper noun, idiom, negation) and builds
+   * the masked sentence; the context vector and masked-LM distribution are
+   * filled in lazily and then shared by every candidate for this position.
+   * `targetStart` is the offset of the occurrence of `original` in `sentence`
+   * (defaults to its first whole-word occurrence). `original` may be
+   * inflected or a phrase; candidates are looked up by its lemma and
+   * regenerated in its form, looked up in `direction`.
+   *
+   * `spanStart` is where the replaced span begins: it moves back over a
+   * preceding intensifier when the two form a vocabulary phrase ("very big"),
+   * whose candidates then replace the whole span.
+   *
+   * A position blocked as a name or as negated keeps the entity or negation
+   * scope that blocked it in `blockDetail`; verdicts blocked at the
+   * position carry it along.
+   */
+  function analyzePosition(sentence, original, targetStart = findWordIndex(sentence, original),
+    resolved = undefined, direction = Direction.COMPLEXIFY) {
+    if (resolved === undefined) {
+      resolved = resolveForm(original, direction);
+    }
+
+    const { lemma, form: wordForm } = resolved || { lemma: original.toLowerCase(), form: 'base' };
+    const tag = tagSpan(sentence, targetStart, targetStart + original.length);
+    const form = targetStart === -1 ? wordForm : formInContext(wordForm, sentence.substring(0, targetStart), tag);
+    const words = original.split(/\s+/);
+    const position = {
+      sentence,
+      original,
+      lemma,
+      form,
+      direction,
+      targetStart,
+      spanStart: targetStart,
+      tag,
+      blockReason: null,
+      blockDetail: null,
+      maskedSentence: null,
+      contextVector: undefined,
+      sense: undefined,
+      distribution: undefined,
+      neighbours: undefined,
+    };
+
+    // LAYER 2: Proper noun check, at each word of the scored occurrence
+    const wordStarts = [...original.matchAll(/\S+/g)].map(match => targetStart + match.index);
+    const gazetteer = getGazetteer();
+    const entity = targetStart === -1 ? null : words
+      .map((word, i) => checkProperNoun(sentence, word, wordStarts[i], gazetteer))
+      .find(result => result.isProperNoun);
+    if (entity) {
+      const { reason, start, end } = entity;
+      position.blockReason = BlockReason.PROPER_NOUN;
+      position.blockDetail = { reason, entity: entity.entity, start, end };
+      return position;
+    }
+
+    // LAYER 3: Idiom check, at each word of the scored occurrence
+    if (targetStart !== -1 && words.some((word, i) => checkIdiom(sentence, word, wordStarts[i]).isIdiom)) {
+      position.blockReason = BlockReason.IDIOM_DETECTED;
+      return position;
+    }
+
+    // LAYER 4: Negation check
+    const negationResult = checkNegation(sentence, original, targetStart);
+    if (negationResult.isNegated) {
+      position.blockReason = BlockReason.NEGATION_CONTEXT;
+      position.blockDetail = negationResult.scope;
+      return position;
+    }
+
+    // Masked sentence for syntax scoring, at the scored occurrence. The span
+    // only takes in a preceding intensifier when the two form a vocabulary
+    // phrase ("very big"); "too big" keeps "too" and replaces "big" alone.
+    if (targetStart !== -1) {
+      const phrase = negationResult.expandedStart !== targetStart &&
+        resolveForm(negationResult.expanded, direction);
+      if (phrase) {
+        position.spanStart = negationResult.expandedStart;
+        position.lemma = phrase.lemma;
+        position.form = phrase.form;
+      }
+      position.maskedSentence = sentence.substring(0, position.spanStart) + MASK_TOKEN +
+        sentence.substring(targetStart + original.length);
+    }
+
+    return position;
+  }
+
+  /**
+   * Analyze an open-vocabulary target (a word outside the vocabulary)
+   * The word is taken as-is (base form): proposals come from the model in
+   * the form the context needs.
+   */
+  function analyzeOpenPosition(sentence, original, targetStart) {
+    const position = analyzePosition(sentence, original, targetStart, {
+      lemma: original.toLowerCase(),
+      form: 'base',
+    });
+    position.open = true;
+    return position;
+  }
+
+  /**
+   * Candidates the masked LM proposes for an open-vocabulary position
+   * The top OPEN_VOCAB_TOP_K whole words at the mask are filtered by rarity
+   * (listed in the frequency table and at least OPEN_VOCAB_MIN_ZIPF_DROP
+   * rarer than the original), the antonym list and POS (the proposal must
+   * take the original's tag in the sentence); embedding similarity bounds
+   * apply when the proposals are evaluated.
+   */
+  async function proposeCandidates(position) {
+    if (!position.maskedSentence || !State.maskedLM) return [];
+
+    await computeMaskDistributions([position]);
+
+    const originalLemma = frequencyLemma(position.original);
+    const maxZipf = getZipfFrequency(originalLemma) - CONFIG.OPEN_VOCAB_MIN_ZIPF_DROP;
+    const before = position.sentence.substring(0, position.spanStart);
+    const after = position.sentence.substring(position.targetStart + position.original.length);
+    const candidates = [];
+
+    for (const { token } of State.maskedLM.topTokens(position.distribution, CONFIG.OPEN_VOCAB_TOP_K)) {
+      const lemma = frequencyLemma(token);
+      const zipf = getZipfFrequency(lemma);
+
+      if (lemma === originalLemma || zipf === 0 || zipf > maxZipf) continue;
+      if (isAntonym(originalLemma, lemma)) continue;
+
+      const tag = tagSpan(before + token + after, before.length, before.length + token.length);
+      if (position.tag && tag !== position.tag) continue;
+
+      candidates.push({ word: token, pos: tag, domain: 'open', definition: '', examples: [] });
+      if (candidates.length === CONFIG.OPEN_VOCAB_MAX_CANDIDATES) break;
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Run one candidate for an analyzed position through the V8 pipeline
+   * Word-level layers compare base forms (the position's lemma and the
+   * vocabulary candidate); syntax scores the candidate inflected to match.
+   */
+  async function evaluateCandidate(position, candidate) {
+    const startTime = performance.now();
+    const { original, lemma } = position;
+    const replacement = inflect(candidate.toLowerCase(), position.form);
+
+    const verdict = (reason, scores = {}) => ({
+      original,
+      candidate,
+      replacement,
+      passed: reason === BlockReason.PASSED,
+      reason,
+      similarity: 0,
+      syntaxScore: 0,
+      semanticScore: 0,
+      ...scores,
+      timeMs: performance.now() - startTime,
+    });
+
+    // Check model readiness
+    if (!State.modelLoaded) {
+      return verdict(BlockReason.MODEL_NOT_READY);
+    }
+
+    // LAYER 0: Antonym check (indexed pairs and scales)
+    const antonym = findAntonym(lemma, candidate);
+    if (antonym) {
+      return verdict(BlockReason.ANTONYM_DETECTED, { blockDetail: { source: 'index', ...antonym } });
+    }
+
+    // LAYER 1: Embedding similarity
+    const embOriginal = await getEmbedding(lemma);
+    const embCandidate = await getEmbedding(candidate);
+    const similarity = cosineSimilarity(embOriginal, embCandidate);
+
+    if (similarity < CONFIG.EMBEDDING_MIN) {
+      return verdict(BlockReason.NOT_SIMILAR_ENOUGH, { similarity });
+    }
+    if (similarity > CONFIG.EMBEDDING_MAX) {
+      return verdict(BlockReason.TOO_SIMILAR, { similarity });
+    }
+
+    // LAYER 0 (model-assisted): Polarity flip along an antonym scale
+    const flip = await checkPolarity(lemma, embOriginal, embCandidate);
+    if (flip) {
+      return verdict(BlockReason.ANTONYM_DETECTED, { similarity, blockDetail: { source: 'polarity', ...flip } });
+    }
+
+    // LAYERS 2-4: Proper noun, idiom, negation (per position)
+    if (position.blockReason) {
+      return verdict(position.blockReason, { similarity, blockDetail: position.blockDetail });
+    }
+
+    // LAYER 5: Part-of-speech check against the tagged usage
+    const entry = getCandidates(lemma, position.direction).find(c => c.word.toLowerCase() === candidate.toLowerCase());
+    if (entry && !tagMatchesPos(position.tag, entry.pos)) {
+      return verdict(BlockReason.POS_MISMATCH, { similarity });
+    }
+
+    // LAYER 6: Contextual validation
+    if (position.contextVector === undefined) {
+      position.contextVector = await getContextVector(position.sentence);
+    }
+    if (!position.contextVector) {
+      return verdict(BlockReason.NOT_IN_VOCAB, { similarity });
+    }
+
+    // LAYER 7: Word sense (candidates are only ranked within the chosen sense)
+    if (position.sense === undefined) {
+      position.sense = selectSense(position);
+    }
+    if (position.sense && entry?.sense && entry.sense !== position.sense) {
+      return verdict(BlockReason.WRONG_SENSE, { similarity });
+    }
+
+    // LAYER 8: Syntax scoring
+    const syntaxScore = await scoreSyntax(position, replacement);
+
+    // LAYER 9: Semantic scoring
+    let semanticScore = 0;
+
+    const cachedVectors = State.contextCache.get(candidate.toLowerCase());
+    if (cachedVectors && cachedVectors.length > 0) {
+      semanticScore = Math.max(
+        ...cachedVectors.map(v => cosineSimilarity(position.contextVector, v))
+      );
+    }
+
+    // Hybrid scoring: trust high embedding similarity
+    if (similarity >= CONFIG.EMBEDDING_TRUST_THRESHOLD) {
+      semanticScore = Math.max(semanticScore, similarity);
+    }
+
+    // FINAL VERDICT
+    let reason = BlockReason.SYNTAX_FAILED;
+
+    if (syntaxScore > CONFIG.SYNTAX_FLOOR) {
+      reason = semanticScore > CONFIG.SEMANTIC_FLOOR
+        ? BlockReason.PASSED
+        : BlockReason.SEMANTIC_FAILED;
+    } else if (semanticScore > CONFIG.SEMANTIC_OVERRIDE) {
+      // Syntax failed, but semantic override applies
+      reason = BlockReason.PASSED;
+    }
+
+    // LAYER 10: Collocation plausibility with the immediate neighbours
+    if (reason === BlockReason.PASSED) {
+      const collocation = await checkCollocation(position, candidate, replacement);
+      if (collocation) {
+        return verdict(BlockReason.COLLOCATION_IMPLAUSIBLE, {
+          similarity, syntaxScore, semanticScore, blockDetail: collocation,
+        });
+      }
+    }
+
+    return verdict(reason, { similarity, syntaxScore, semanticScore });
+  }
+
+  /**
+   * Process a single substitution through the V8 pipeline
+   */
+  async function processSubstitution(sentence, original, candidate, targetStart, {
+    direction = Direction.COMPLEXIFY,
+  } = {}) {
+    if (direction === Direction.SIMPLIFY) await prepareSimplify();
+    return evaluateCandidate(
+      analyzePosition(sentence, original, targetStart, undefined, direction),
+      candidate
+    );
+  }
+
+  /**
+   * Pick the best passing candidate for an analyzed position
+   * Takes the first of rankCandidates, with the same options.
+   */
+  async function findBestForPosition(position, options = {}) {
+    const [best] = await rankCandidates(position, options);
+    return best || null;
+  }
+
+  /**
+   * Every passing candidate for an analyzed position, best first
+   * Passing candidates are ranked by rankScore, with `weights` overriding
+   * the ranking weights (see rankWeights). Words missing from the frequency
+   * list rank and take their tier with a neutral ZIPF_UNKNOWN rather than as
+   * the rarest possible. When complexifying, a `difficulty` tier prefers
+   * candidates in that band over the rest, and a `tone` preset drops
+   * candidates of clashing registers and weights the rest by their fit
+   * (see TonePresets).
+   */
+  async function rankCandidates(position, {
+    difficulty = null, tone = null, weights = rankWeights(),
+  } = {}) {
+    const complexify = position.direction === Direction.COMPLEXIFY;
+    const pool = position.open
+      ? await proposeCandidates(position)
+      : getCandidates(position.lemma, position.direction);
+    const candidates = pool
+      .filter(candidate => formAllowsPos(position.form, candidate.pos))
+      .map(candidate => ({ candidate, toneFit: complexify && tone ? getToneFit(candidate, tone) : 0 }))
+      .filter(({ toneFit }) => toneFit !== null);
+
+    const results = [];
+
+    for (const { candidate, toneFit } of candidates) {
+      const result = await evaluateCandidate(position, candidate.word);
+      if (result.passed) {
+        const lemma = frequencyLemma(candidate.word);
+        const frequency = getZipfFrequency(lemma) || CONFIG.ZIPF_UNKNOWN;
+        results.push({
+          ...result,
+          frequency,
+          tier: getDifficultyTier(lemma, frequency),
+          toneFit,
+          rankScore: rankScore({ ...result, frequency, toneFit }, position.direction, weights),
+          candidateInfo: candidate,
+        });
+      }
+    }
+
+    // Best by combined score, within the preferred band if any
+    const band = complexify ? difficulty : null;
+    const inBand = result => (band && result.tier === band ? 1 : 0);
+    return results.sort((a, b) => inBand(b) - inBand(a) || b.rankScore - a.rankScore);
+  }
+
+  /**
+   * Pick the substitution for one occurrence of a word that may repeat
+   * `usage` maps each lemma to how often each replacement was used for it
+   * so far. CONSISTENT keeps the first occurrence's choice and leaves
+   * occurrences where it doesn't pass unchanged; VARIED takes the passing
+   * candidate used least so far (best-ranked on ties).
+   */
+  async function chooseForOccurrence(position, usage, { occurrences, ...options }) {
+    const results = await rankCandidates(position, options);
+    const used = usage.get(position.lemma);
+    let result = results[0];
+
+    if (used && occurrences === Occurrences.CONSISTENT) {
+      const [first] = used.keys();
+      result = results.find(r => r.candidate === first);
+    } else if (used && results.length > 0) {
+      const count = r => used.get(r.candidate) || 0;
+      result = results.reduce((best, r) => (count(r) < count(best) ? r : best));
+    }
+
+    if (!result) return null;
+    if (!used) usage.set(position.lemma, new Map());
+    const counts = usage.get(position.lemma);
+    counts.set(result.candidate, (counts.get(result.candidate) || 0) + 1);
+    return result;
+  }
+
+  /**
+   * Find the best substitution for a word in context
+   * With `openVocabulary`, a complexify target outside the vocabulary gets
+   * model-proposed candidates.
+   */
+  async function findBestSubstitution(sentence, word, targetStart, {
+    direction = Direction.COMPLEXIFY,
+    difficulty = null,
+    tone = null,
+    weights = null,
+    openVocabulary = false,
+  } = {}) {
+    if (direction === Direction.SIMPLIFY) await prepareSimplify();
+
+    const open = openVocabulary && direction === Direction.COMPLEXIFY && !resolveForm(word, direction);
+    const position = open
+      ? analyzeOpenPosition(sentence, word, targetStart)
+      : analyzePosition(sentence, word, targetStart, undefined, direction);
+
+    return findBestForPosition(position, { difficulty, tone, weights: rankWeights(weights) });
+  }
+
+  /**
+   * Repetition tracker for one document
+   * Returns { penalty(source, lemma), record(source, lemma) } for the target
+   * at word index `at` (set before use), where `source` is the lemma being
+   * replaced and `lemma` the replacement's frequency lemma: each recorded use
+   * of the same replacement for a different source within `window` words of
+   * it, on either side, costs REPETITION_PENALTY. Repeats for the same source
+   * (e.g. CONSISTENT occurrences) are intended and cost nothing. A window of
+   * 0 turns the penalty off.
+   */
+  function repetitionTracker(window) {
+    const uses = new Map();
+    const tracker = {
+      at: 0,
+      penalty(source, lemma) {
+        if (!window) return 0;
+        const recent = (uses.get(lemma) || [])
+          .filter(use => use.source !== source && Math.abs(use.at - tracker.at) <= window);
+        return recent.length * CONFIG.REPETITION_PENALTY;
+      },
+      record(source, lemma) {
+        if (!uses.has(lemma)) uses.set(lemma, []);
+        uses.get(lemma).push({ source, at: tracker.at });
+      },
+    };
+    return tracker;
+  }
+
+  /**
+   * Order found substitutions for selection, applying the repetition penalty
+   * `found` holds one entry per position: its passing `choices` (best first),
+   * the `lemma` it replaces and `wordIndex`. The best remaining entry is
+   * taken repeatedly, each choice scored with the penalty for replacements
+   * taken so far (see repetitionTracker), so only replacements ahead in the
+   * selection order count and a penalized position can fall back to its
+   * next choice. Choices in the preferred `difficulty` band win over the
+   * rest, within an entry and across entries.
+   * Returns the picked choices, best first, each with its
+   * `repetitionPenalty` taken off its rankScore.
+   */
+  function orderWithRepetition(found, window, difficulty = null) {
+    const repetition = repetitionTracker(window);
+    const inBand = choice => (difficulty && choice.tier === difficulty ? 1 : 0);
+    const better = (a, b) => ((inBand(b.choice) - inBand(a.choice) || b.score - a.score) > 0 ? b : a);
+    const remaining = found.map(entry => ({
+      ...entry,
+      choices: entry.choices.map(choice => ({ choice, lemma: frequencyLemma(choice.candidate) })),
+    }));
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      let best = null;
+
+      remaining.forEach((entry, index) => {
+        repetition.at = entry.wordIndex;
+        const pick = entry.choices
+          .map(({ choice, lemma }) => {
+            const repetitionPenalty = repetition.penalty(entry.lemma, lemma);
+            return { index, choice, lemma, repetitionPenalty, score: choice.rankScore - repetitionPenalty };
+          })
+          .reduce(better);
+        best = best ? better(best, pick) : pick;
+      });
+
+      const [{ lemma, start, end, node, sentence, form, wordIndex }] = remaining.splice(best.index, 1);
+      repetition.at = wordIndex;
+      repetition.record(lemma, best.lemma);
+      ordered.push({
+        ...best.choice,
+        start,
+        end,
+        node,
+        sentence,
+        form,
+        repetitionPenalty: best.repetitionPenalty,
+        rankScore: best.score,
+      });
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Fluency layer: roll back the weakest substitutions of sentences that
+   * read worse than the original by more than the budget
+   * `substitutions` are output substitutions and `sentenceOf` maps each to
+   * its sentence span. For every sentence with at least
+   * FLUENCY_MIN_SUBSTITUTIONS substitutions, the modified sentence's
+   * pseudo-perplexity must stay within `budget` times the original's; the
+   * lowest-ranked substitution is dropped until it does. Returns
+   * { kept, rolledBack } where rolled-back entries record the perplexities
+   * that caused it.
+   */
+  async function checkFluency(text, substitutions, sentenceOf, budget) {
+    const bySentence = new Map();
+    for (const sub of substitutions) {
+      const sentence = sentenceOf.get(sub);
+      if (!bySentence.has(sentence)) bySentence.set(sentence, []);
+      bySentence.get(sentence).push(sub);
+    }
+
+    const rolledBack = [];
+    const dropped = new Set();
+
+    for (const [sentence, subs] of bySentence) {
+      if (subs.length < CONFIG.FLUENCY_MIN_SUBSTITUTIONS) continue;
+
+      const sentenceText = text.substring(sentence.start, sentence.end);
+      const originalPerplexity = await sentencePerplexity(sentenceText);
+      if (originalPerplexity === null) continue;
+
+      const maxPerplexity = originalPerplexity * budget;
+      const remaining = subs.slice().sort((a, b) => b.rankScore - a.rankScore);
+
+      while (remaining.length > 0) {
+        const local = remaining.map(sub => shiftChange(sub, -sentence.start));
+        const modifiedPerplexity = await sentencePerplexity(applySubstitutions(sentenceText, local));
+        if (modifiedPerplexity === null || modifiedPerplexity <= maxPerplexity) break;
+
+        const worst = remaining.pop();
+        dropped.add(worst);
+        rolledBack.push({
+          original: worst.original,
+          replacement: worst.replacement,
+          start: worst.start,
+          end: worst.end,
+          rankScore: worst.rankScore,
+          reason: BlockReason.FLUENCY_ROLLBACK,
+          originalPerplexity,
+          modifiedPerplexity,
+          maxPerplexity,
+        });
+      }
+    }
+
+    return { kept: substitutions.filter(sub => !dropped.has(sub)), rolledBack };
+  }
+
+  /**
+   * Process entire text (paragraph mode)
+   *
+   * Each substitution carries the [start, end) offsets of the occurrence that
+   * was actually scored, so callers can apply exactly that occurrence. Every
+   * candidate is scored against its own sentence plus `contextSentences`
+   * neighbours. With a node map (whole-page mode, see segmenter.js) sentences
+   * never cross blocks and each substitution also names its node (nodeId)
+   * and its offsets inside that node (nodeStart/nodeEnd).
+   *
+   * `edits` lists the repair-pass changes to neighbouring tokens (e.g. "a" →
+   * "an"), in the same shape plus a `type`; they belong to the substitution
+   * and are applied and reverted with it.
+   *
+   * `direction` selects complexify (default) or simplify; `difficulty` is
+   * the preferred DifficultyTier of replacements and `tone` a Tone preset
+   * (see findBestForPosition). `openVocabulary` (complexify only) also
+   * targets content words outside the vocabulary (see proposeCandidates).
+   *
+   * `occurrences` (see Occurrences in data.js) decides repeated words: by
+   * default only the first occurrence is a target; CONSISTENT and VARIED
+   * score every occurrence in its own sentence (see chooseForOccurrence).
+   *
+   * Replacements already selected within `repetitionWindow` words are
+   * penalized (see orderWithRepetition), so different words that share
+   * candidates ("big", "large" → "enormous") don't all get the same one.
+   *
+   * Finally the fluency layer (see checkFluency) rolls back substitutions
+   * that make their sentence read worse than `fluencyBudget` allows (null
+   * disables it); they are listed in the result's `rolledBack`.
+   *
+   * With a `targetGrade`, substitutions are taken in score order until the
+   * reading-level estimate (see readability.js) reaches it, instead of
+   * filling the density quota; `maxDensity` still caps the count. Fluency
+   * rollbacks are refilled from the remaining candidates, so the target is
+   * missed only when those run out. The result's `readability` holds the
+   * before/after scores either way.
+   */
+  async function processText(text, maxDensity = CONFIG.MAX_DENSITY, {
+    nodes = null,
+    contextSentences = CONFIG.CONTEXT_SENTENCES,
+    direction = Direction.COMPLEXIFY,
+    targetGrade = null,
+    difficulty = null,
+    tone = null,
+    openVocabulary = false,
+    fluencyBudget = CONFIG.FLUENCY_MAX_PPL_RATIO,
+    occurrences = Occurrences.FIRST,
+    repetitionWindow = CONFIG.REPETITION_WINDOW,
+    weights = null,
+  } = {}) {
+    const startTime = performance.now();
+    const open = openVocabulary && direction === Direction.COMPLEXIFY;
+    const everyOccurrence = occurrences === Occurrences.CONSISTENT || occurrences === Occurrences.VARIED;
+
+    if (direction === Direction.SIMPLIFY) {
+      await prepareSimplify();
+    }
+
+    const tokens = tokenize(text);
+    const maxSubs = Math.max(1, Math.ceil(tokens.length * maxDensity));
+
+    // Find all potential substitutions
+    const found = [];
+    const processedWords = new Set();
+    const usage = new Map();
+    let tokensProcessed = 0;
+
+    for (const segment of buildSegments(text, nodes)) {
+      const sentences = splitSentences(text, segment.start, segment.end);
+
+      for (let i = 0; i < sentences.length; i++) {
+        const sentence = sentences[i];
+        const context = getContextWindow(sentences, i, contextSentences);
+        const targets = [];
+
+        // Collect this sentence's target positions first...
+        const sentenceText = text.substring(sentence.start, sentence.end);
+        const tokens = tokenize(sentenceText);
+        const tags = open && new Map(tagSentence(sentenceText).map(token => [token.start, token.tag]));
+
+        for (let t = 0; t < tokens.length; t++) {
+          // Limit processing to prevent crashes
+          if (++tokensProcessed > CONFIG.MAX_WORDS_PER_BATCH) break;
+
+          // Longest phrase or word with candidates; a phrase consumes its tokens.
+          // In open-vocabulary mode other content words are targets too.
+          let match = matchVocabulary(sentenceText, tokens, t, direction);
+          if (!match && open && isOpenTarget(tokens[t].text, tags.get(tokens[t].start))) {
+            match = { resolved: null, count: 1 };
+          }
+          if (!match) continue;
+
+          const { resolved, count } = match;
+          const targetStart = sentence.start + tokens[t].start;
+          const end = sentence.start + tokens[t + count - 1].end;
+          t += count - 1;
+
+          if (!everyOccurrence && processedWords.has(resolved ? resolved.lemma : tokens[t].clean)) continue;
+
+          const window = clampToWords(text, context, targetStart, end, CONFIG.MAX_CONTEXT_WORDS);
+          const windowText = text.substring(window.start, window.end);
+          const original = text.substring(targetStart, end).toLowerCase();
+          const position = resolved
+            ? analyzePosition(windowText, original, targetStart - window.start, resolved, direction)
+            : analyzeOpenPosition(windowText, original, targetStart - window.start);
+          const start = window.start + position.spanStart;
+
+          // Spans split across nodes can't be replaced in place
+          const node = segment.nodes && locateNode(segment.nodes, start, end);
+          if (segment.nodes && !node) continue;
+
+          targets.push({ start, end, node, position, wordIndex: tokensProcessed });
+        }
+
+        // ...then run all of their masked-LM passes as one batch
+        await computeMaskDistributions(targets.map(t => t.position).filter(p => !p.blockReason));
+
+        for (const { start, end, node, position, wordIndex } of targets) {
+          if (!everyOccurrence && processedWords.has(position.lemma)) continue;
+
+          // Repeated occurrences are decided here; otherwise every passing
+          // candidate stays a choice until selection
+          const options = { difficulty, tone, weights: rankWeights(weights) };
+          const choices = everyOccurrence
+            ? [await chooseForOccurrence(position, usage, { ...options, occurrences })].filter(Boolean)
+            : await rankCandidates(position, options);
+          if (choices.length > 0) {
+            found.push({ choices, lemma: position.lemma, start, end, node, sentence, form: position.form, wordIndex });
+            processedWords.add(position.lemma);
+          }
+        }
+      }
+    }
+
+    console.log(tag, 'Substitutions that passed filters:', found.length);
+
+    // Rank by combined score, less the repetition penalty
+    const allResults = orderWithRepetition(found, repetitionWindow, direction === Direction.COMPLEXIFY ? difficulty : null);
+
+    // Offsets of a change inside its text node (whole-page mode)
+    const nodeOffsets = (node, start, end) => node && {
+      nodeId: node.id,
+      nodeStart: start - node.start,
+      nodeEnd: end - node.start,
+    };
+
+    const sentenceOf = new Map();
+    const ranked = allResults
+      .map(sub => {
+        // Repair pass: article, agreement and capitalization around the replacement
+        const { replacement, edits } = repairSubstitution(text, sub.sentence, {
+          start: sub.start,
+          end: sub.end,
+          replacement: sub.replacement,
+          candidate: sub.candidate,
+          pos: sub.candidateInfo?.pos,
+          form: sub.form,
+        });
+
+        const substitution = {
+          original: text.substring(sub.start, sub.end),
+          replacement,
+          start: sub.start,
+          end: sub.end,
+          ...nodeOffsets(sub.node, sub.start, sub.end),
+          edits: edits
+            .map(edit => {
+              if (!nodes) return edit;
+              const node = locateNode(nodes, edit.start, edit.end);
+              return node && { ...edit, ...nodeOffsets(node, edit.start, edit.end) };
+            })
+            .filter(Boolean),
+          similarity: sub.similarity,
+          syntaxScore: sub.syntaxScore,
+          semanticScore: sub.semanticScore,
+          rankScore: sub.rankScore,
+          tier: sub.tier,
+        };
+        sentenceOf.set(substitution, sub.sentence);
+        return substitution;
+      });
+
+    // Take the top N, or as many as the target reading level needs
+    const statsBefore = textStats(text, nodes);
+    const statsWith = subs => changeStats(statsBefore, subs.flatMap(sub => [sub, ...sub.edits]));
+    const gradeOptions = { raise: direction === Direction.COMPLEXIFY, limit: maxSubs };
+    const selected = targetGrade == null
+      ? ranked.slice(0, maxSubs)
+      : selectToGrade(ranked, statsBefore, targetGrade, gradeOptions);
+
+    // Fluency layer: roll back substitutions that together read badly
+    const checkSelected = subs => (fluencyBudget == null
+      ? { kept: subs, rolledBack: [] }
+      : checkFluency(text, subs, sentenceOf, fluencyBudget));
+    let { kept, rolledBack } = await checkSelected(selected);
+
+    // Refill toward the target grade from candidates not tried yet, since
+    // rollbacks can leave it unreached; refills are fluency-checked too
+    const tried = new Set(selected);
+    while (targetGrade != null && rolledBack.length > 0 && kept.length < maxSubs) {
+      const refill = selectToGrade(ranked.filter(sub => !tried.has(sub)), statsWith(kept), targetGrade, {
+        ...gradeOptions,
+        limit: maxSubs - kept.length,
+      });
+      if (refill.length === 0) break;
+
+      refill.forEach(sub => tried.add(sub));
+      const checked = await checkSelected([...kept, ...refill]);
+      kept = checked.kept;
+      rolledBack = [...rolledBack, ...checked.rolledBack];
+      if (checked.rolledBack.length === 0) break;
+    }
+    if (rolledBack.length > 0) {
+      console.log(tag, 'Rolled back for fluency:', rolledBack.length);
+    }
+
+    const substitutions = kept.sort((a, b) => a.start - b.start);
+    const statsAfter = statsWith(substitutions);
+
+    return {
+      direction,
+      originalText: text,
+      modifiedText: applySubstitutions(text, substitutions),
+      substitutionsAttempted: allResults.length,
+      substitutionsMade: substitutions.length,
+      substitutions,
+      rolledBack,
+      readability: {
+        before: scoreReadability(statsBefore),
+        after: scoreReadability(statsAfter),
+        targetGrade,
+      },
+      totalTimeMs: performance.now() - startTime,
+    };
+  }
+
+  /**
+   * Get vocabulary words and phrases (lemmas) that exist in text, in any inflection
+   */
+  function findVocabularyWordsInText(text, direction = Direction.COMPLEXIFY) {
+    const found = new Set();
+    const tokens = tokenize(text);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const match = matchVocabulary(text, tokens, i, direction);
+      if (match) {
+        found.add(match.resolved.lemma);
+        i += match.count - 1;
+      }
+    }
+
+    return [...found];
+  }
+
+  // ==========================================================================
+  // CUSTOM VOCABULARY MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Add custom vocabulary from CSV
+   * Each entry has { word, synonym, pos?, sense?, register?, domain?, definition?, examples? }
+   */
+  async function addCustomVocabulary(vocabulary) {
+    if (!Array.isArray(vocabulary)) {
+      return { error: 'Invalid vocabulary data: expected array' };
+    }
+
+    for (const entry of vocabulary) {
+      const lower = entry.word.toLowerCase();
+
+      if (!State.customVocabulary.has(lower)) {
+        State.customVocabulary.set(lower, []);
+      }
+
+      const candidate = {
+        word: entry.synonym,
+        pos: entry.pos || 'unknown',
+        sense: entry.sense,
+        register: entry.register,
+        domain: entry.domain || 'general',
+        definition: entry.definition || '',
+        examples: entry.examples || [],
+      };
+      State.customVocabulary.get(lower).push(candidate);
+
+      // Pre-compute embedding and context vectors for new word
+      await getEmbedding(entry.synonym);
+      await precomputeContextVectors(candidate);
+    }
+
+    // Sense groups and the inverted vocabulary may have changed
+    State.senseCache.clear();
+    resetSimplifyVocabulary();
+
+    return { success: true, count: vocabulary.length };
+  }
+
+  /**
+   * Clear custom vocabulary
+   */
+  function clearCustomVocabulary() {
+    State.customVocabulary.clear();
+    State.senseCache.clear();
+    resetSimplifyVocabulary();
+    return { success: true };
+  }
+
+  /**
+   * Known names for the proper noun layer: bundled plus user entries
+   */
+  function getGazetteer() {
+    return State.customNames.size > 0
+      ? [...ProperNounPatterns, ...State.customNames]
+      : ProperNounPatterns;
+  }
+
+  /**
+   * Add names to the gazetteer (words inside them are never replaced)
+   */
+  function addGazetteerEntries(entries) {
+    if (!Array.isArray(entries)) {
+      return { error: 'Invalid gazetteer data: expected array' };
+    }
+
+    for (const entry of entries) {
+      const name = String(entry).trim().toLowerCase();
+      if (name) State.customNames.add(name);
+    }
+    return { success: true, count: State.customNames.size };
+  }
+
+  /**
+   * Clear the user gazetteer
+   */
+  function clearGazetteer() {
+    State.customNames.clear();
+    return { success: true };
+  }
+
+  /**
+   * Drop the inverted vocabulary so it is rebuilt from the current entries
+   */
+  function resetSimplifyVocabulary() {
+    State.simplifyVocabulary = null;
+    State.simplifyPrepared = false;
+  }
+
+  function getStatus() {
+    return {
+      modelLoaded: State.modelLoaded,
+      modelLoading: State.modelLoading,
+      embeddingsCached: State.embeddingCache.size,
+      contextsCached: State.contextCache.size,
+      customVocabSize: State.customVocabulary.size,
+    };
+  }
+
+  // ==========================================================================
+  // MESSAGE DISPATCH
+  // ==========================================================================
+
+  /**
+   * Handle a worker message type; shared by every host's message loop
+   */
+  async function handleMessage(type, data = {}) {
+    switch (type) {
+      case 'init':
+        return await initialize();
+
+      case 'loadModel':
+        await loadModel();
+        return { success: true };
+
+      case 'getStatus':
+        return getStatus();
+
+      case 'processSubstitution':
+        return await processSubstitution(data.sentence, data.original, data.candidate, data.position, {
+          direction: data.direction,
+        });
+
+      case 'findBestSubstitution':
+        return await findBestSubstitution(data.sentence, data.word, data.position, {
+          direction: data.direction,
+          difficulty: data.difficulty,
+          tone: data.tone,
+          weights: data.weights,
+          openVocabulary: data.openVocabulary,
+        });
+
+      case 'processText':
+        return await processText(data.text, data.maxDensity, {
+          nodes: data.nodes,
+          contextSentences: data.contextSentences,
+          direction: data.direction,
+          targetGrade: data.targetGrade,
+          difficulty: data.difficulty,
+          tone: data.tone,
+          openVocabulary: data.openVocabulary,
+          fluencyBudget: data.fluencyBudget,
+          occurrences: data.occurrences,
+          repetitionWindow: data.repetitionWindow,
+          weights: data.weights,
+        });
+
+      case 'findVocabularyWords':
+        return findVocabularyWordsInText(data.text, data.direction);
+
+      case 'addCustomVocabulary':
+        return await addCustomVocabulary(data.vocabulary || data);
+
+      case 'clearCustomVocabulary':
+        return clearCustomVocabulary();
+
+      case 'getVocabulary':
+        return {
+          default: Object.keys(GREVocabularyDatabase),
+          custom: Array.from(State.customVocabulary.keys()),
+          names: Array.from(State.customNames),
+        };
+
+      case 'addGazetteerEntries':
+        return addGazetteerEntries(data.entries);
+
+      case 'clearGazetteer':
+        return clearGazetteer();
+
+      default:
+        return { error: `Unknown message type: ${type}` };
+    }
+  }
+
+  return {
+    get modelLoaded() {
+      return State.modelLoaded;
+    },
+    initialize,
+    loadModel,
+    getStatus,
+    processSubstitution,
+    findBestSubstitution,
+    processText,
+    findVocabularyWordsInText,
+    addCustomVocabulary,
+    clearCustomVocabulary,
+    addGazetteerEntries,
+    clearGazetteer,
+    handleMessage,
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Part-of-Speech Tagger - Complexity Injector (ES Module)
+ *
+ * Lightweight offline tagger: a lexicon of closed-class words and common
+ * ambiguous open-class words, lemma lookup for inflected forms, suffix
+ * guesses for everything else, and a left-to-right pass of contextual rules
+ * that pick one tag for ambiguous words ("a home run" → noun, "work hard" →
+ * adverb). Only coarse tags are produced; the open-class ones use the same
+ * names as the vocabulary `pos` field ('noun', 'verb', 'adj', 'adv').
+ */
+
+import { lemmatize } from './morphology.js';
+
+// Closed-class words
+const CLOSED_CLASS = {
+  det: ['a', 'an', 'the', 'this', 'that', 'these', 'those', 'every', 'each', 'some', 'any',
+    'no', 'another', 'either', 'neither', 'all', 'both', 'my', 'your', 'his', 'her', 'its',
+    'our', 'their', 'one'],
+  pron: ['i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'us', 'them', 'who',
+    'what', 'which', 'myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves',
+    'themselves', 'everyone', 'someone', 'anyone', 'something', 'nothing', 'everything'],
+  prep: ['in', 'on', 'at', 'by', 'for', 'with', 'about', 'against', 'between', 'into',
+    'through', 'during', 'before', 'after', 'above', 'below', 'from', 'up', 'down', 'of',
+    'off', 'over', 'under', 'near', 'without', 'within', 'along', 'across', 'behind',
+    'beyond', 'upon', 'toward', 'towards', 'than', 'around', 'among'],
+  conj: ['and', 'or', 'but', 'nor', 'yet', 'because', 'although', 'though', 'while', 'if',
+    'unless', 'since', 'whereas', 'when', 'where', 'whether'],
+  aux: ['will', 'would', 'can', 'could', 'shall', 'should', 'may', 'might', 'must', 'do',
+    'does', 'did', 'cannot'],
+  cop: ['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'seem', 'seems', 'seemed',
+    'become', 'becomes', 'became', 'appear', 'appears', 'appeared', 'remain', 'remains',
+    'remained', 'feel', 'feels', 'felt', 'look', 'looks', 'looked', 'sound', 'sounds'],
+  part: ['to', 'not'],
+  adv: ['very', 'so', 'too', 'quite', 'really', 'extremely', 'rather', 'almost', 'also',
+    'just', 'still', 'already', 'always', 'never', 'often', 'sometimes', 'today',
+    'tomorrow', 'yesterday', 'now', 'then', 'here', 'there', 'again', 'soon', 'ever'],
+};
+
+// Open-class words with more than one usage, most common tag first
+const OPEN_CLASS = {
+  hot: ['adj'], cold: ['adj', 'noun'], big: ['adj'], small: ['adj'],
+  fast: ['adj', 'adv'], slow: ['adj', 'adv', 'verb'], good: ['adj', 'noun'], bad: ['adj'],
+  happy: ['adj'], sad: ['adj'], difficult: ['adj'], hard: ['adj', 'adv'],
+  easy: ['adj', 'adv'], bright: ['adj'], dark: ['adj', 'noun'], walk: ['verb', 'noun'],
+  run: ['verb', 'noun'], think: ['verb'], understand: ['verb'], strong: ['adj'],
+  weak: ['adj'], true: ['adj'], false: ['adj'], old: ['adj'], new: ['adj'],
+  beautiful: ['adj'], ugly: ['adj'], strange: ['adj'], important: ['adj'],
+  clear: ['adj', 'verb'], secret: ['adj', 'noun'], thought: ['noun', 'verb'],
+  home: ['noun', 'adv'], work: ['verb', 'noun'], well: ['adv', 'adj'],
+  late: ['adj', 'adv'], early: ['adj', 'adv'], long: ['adj', 'adv'], high: ['adj', 'adv'],
+  low: ['adj', 'adv'], right: ['adj', 'adv', 'noun'], light: ['noun', 'adj', 'verb'],
+  play: ['verb', 'noun'], time: ['noun'], day: ['noun'], way: ['noun'], man: ['noun'],
+  like: ['prep', 'verb'], have: ['verb'], has: ['verb'], had: ['verb'], go: ['verb'], make: ['verb'],
+};
+
+const LEXICON = new Map();
+for (const [tag, words] of Object.entries(CLOSED_CLASS)) {
+  for (const word of words) {
+    if (!LEXICON.has(word)) LEXICON.set(word, [tag]);
+  }
+}
+for (const [word, tags] of Object.entries(OPEN_CLASS)) {
+  LEXICON.set(word, tags);
+}
+
+// Tags each inflected form can carry, given the lemma's tags
+const FORM_TAGS = {
+  s: ['noun', 'verb'],
+  past: ['verb'],
+  participle: ['verb'],
+  gerund: ['verb'],
+  comparative: ['adj', 'adv'],
+  superlative: ['adj', 'adv'],
+};
+
+const SUBJECT_PRONOUNS = new Set(['i', 'you', 'he', 'she', 'it', 'we', 'they', 'who']);
+const SINGULAR_DETERMINERS = new Set(['a', 'an', 'one', 'every', 'each', 'this', 'that', 'another']);
+const NOMINAL_TAGS = new Set(['det', 'adj', 'num']);
+const HEAD_TAGS = new Set(['verb', 'cop', 'adj', 'noun']);
+
+// Adverbs with the same form as their adjective ("ran fast", "a fast car")
+const FLAT_ADVERBS = new Set(['fast', 'hard', 'late', 'early', 'high']);
+const OBJECT_TAGS = new Set(['noun', 'pron', 'adv', 'verb']);
+
+/**
+ * Guess tags for a word that isn't in the lexicon
+ */
+function guessTags(word) {
+  if (/^\d/.test(word)) return ['num'];
+
+  for (const { lemma, form } of lemmatize(word)) {
+    if (form === 'base' || !LEXICON.has(lemma)) continue;
+    const tags = LEXICON.get(lemma).filter(tag => FORM_TAGS[form].includes(tag));
+    if (tags.length > 0) return tags;
+  }
+
+  if (/ly$/.test(word)) return ['adv'];
+  if (/(tion|sion|ment|ness|ity|ship|ism|ance|ence)s?$/.test(word)) return ['noun'];
+  if (/(ous|ful|ive|able|ible|al|ic|less|ish)$/.test(word)) return ['adj'];
+  if (/ed$/.test(word)) return ['verb', 'adj'];
+  if (/ing$/.test(word)) return ['verb', 'noun'];
+  return ['noun', 'verb'];
+}
+
+/**
+ * Pick one tag for word `i` from its possible tags using its neighbours
+ */
+function disambiguate(tokens, i) {
+  const { tags, lower } = tokens[i];
+  if (tags.length === 1) return tags[0];
+
+  const can = tag => tags.includes(tag);
+  const prev = tokens[i - 1];
+  const next = tokens[i + 1];
+  const nextIsNominal = next && (next.tags[0] === 'noun' || next.tags[0] === 'adj');
+
+  if (prev) {
+    // Noun phrase: "the fast car", "a home run"
+    if (NOMINAL_TAGS.has(prev.tag)) {
+      if (can('adj') && nextIsNominal) return 'adj';
+      if (can('noun')) return 'noun';
+      if (can('adj')) return 'adj';
+    }
+
+    // Compound noun after a singular noun phrase: "a home run"
+    if (prev.tag === 'noun' && can('noun') && !/s$/.test(lower)) {
+      const head = tokens.slice(0, i - 1).reverse().find(t => t.tag !== 'noun' && t.tag !== 'adj');
+      if (head && SINGULAR_DETERMINERS.has(head.lower)) return 'noun';
+    }
+
+    // "to run", "will run", "they run"
+    if ((prev.tag === 'part' || prev.tag === 'aux' || SUBJECT_PRONOUNS.has(prev.lower)) && can('verb')) {
+      return 'verb';
+    }
+
+    // "is hard", "very hard"
+    if ((prev.tag === 'cop' || prev.tag === 'adv') && can('adj')) return 'adj';
+
+    // "work hard", "ran fast"
+    if (prev.tag === 'verb' && can('adv') && !nextIsNominal) return 'adv';
+
+    // "walked home fast", "threw the ball hard": after a verb's object, when
+    // the nearest verb before is not a copula ("the car is fast")
+    if (FLAT_ADVERBS.has(lower) && can('adv') && !nextIsNominal && OBJECT_TAGS.has(prev.tag)) {
+      const governor = tokens.slice(0, i).reverse().find(t => t.tag === 'verb' || t.tag === 'cop');
+      if (governor && governor.tag === 'verb') return 'adv';
+    }
+  }
+
+  if (can('adj') && nextIsNominal) return 'adj';
+  return tags[0];
+}
+
+/**
+ * Tag every word of a sentence
+ * Returns [{ text, start, end, tag }] with offsets into `sentence`.
+ */
+export function tagSentence(sentence) {
+  const tokens = [];
+  const regex = /[A-Za-z]+(?:'[A-Za-z]+)?|\d+(?:[.,]\d+)*/g;
+  let match;
+
+  while ((match = regex.exec(sentence)) !== null) {
+    const lower = match[0].toLowerCase();
+    tokens.push({
+      text: match[0],
+      lower,
+      start: match.index,
+      end: match.index + match[0].length,
+      tags: LEXICON.get(lower) || guessTags(lower),
+      tag: null,
+    });
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    tokens[i].tag = disambiguate(tokens, i);
+  }
+
+  return tokens.map(({ text, start, end, tag }) => ({ text, start, end, tag }));
+}
+
+/**
+ * Tag of the word or phrase at [start, end) in `sentence`, or null
+ * A phrase takes the tag of its head: its first verb, adjective or noun
+ * ("very big" → adj, "look into" → verb), else its first word's tag.
+ */
+export function tagSpan(sentence, start, end = start + 1) {
+  if (start < 0) return null;
+
+  const tokens = tagSentence(sentence).filter(t => t.end > start && t.start < end);
+  if (tokens.length === 0) return null;
+
+  const head = tokens.find(t => HEAD_TAGS.has(t.tag)) || tokens[0];
+  return head.tag;
+}
+
+/**
+ * Check whether a vocabulary `pos` fits a tagged usage
+ * Copulas count as verbs; unknown tags and entries without a known pos
+ * always match.
+ */
+export function tagMatchesPos(tag, pos) {
+  if (!tag || !pos || pos === 'unknown') return true;
+  return tag === pos || (pos === 'verb' && tag === 'cop');
+}
@@ -0,0 +1,132 @@
+/**
+ * Repair Pass - Complexity Injector (ES Module)
+ *
+ * Runs after a substitution is chosen and fixes the grammar that depends on
+ * the replaced word:
+ * - a/an before the replacement ("a big dog" → "an enormous dog")
+ * - subject-verb agreement when the replacement is a present-tense verb
+ * - capitalization when the replacement starts the sentence
+ *
+ * Edits to neighbouring tokens are returned separately so they can be
+ * recorded with the substitution and reverted together with it.
+ */
+
+import { inflect } from './morphology.js';
+import { tagSentence } from './pos_tagger.js';
+
+const SINGULAR_PRONOUNS = new Set(['he', 'she', 'it', 'this', 'that', 'everyone', 'someone', 'anyone', 'nobody']);
+const PLURAL_PRONOUNS = new Set(['i', 'you', 'we', 'they', 'these', 'those']);
+
+// Plurals that don't end in -s
+const IRREGULAR_PLURALS = new Set(['children', 'people', 'men', 'women', 'mice', 'geese', 'feet',
+  'teeth', 'oxen', 'lice', 'police', 'cattle', 'data', 'criteria', 'phenomena', 'fungi', 'cacti']);
+
+// Tags a noun phrase is built from, read back from its head noun
+const NOUN_PHRASE_TAGS = new Set(['det', 'adj', 'num', 'noun']);
+
+/**
+ * Indefinite article for a word, by sound rather than spelling where the
+ * two commonly differ ("an hour", "a unique")
+ */
+export function indefiniteArticle(word) {
+  const lower = word.toLowerCase();
+  if (/^(hour|honest|honor|honour|heir)/.test(lower)) return 'an';
+  if (/^(uni|use|usu|eu|ewe|one|once|u[bcfhjkqrst][aeiou])/.test(lower)) return 'a';
+  return /^[aeiou]/.test(lower) ? 'an' : 'a';
+}
+
+/**
+ * Apply the case of `original` to a replacement article ("A" → "An")
+ */
+function matchArticleCase(original, article) {
+  return original[0] === original[0].toUpperCase()
+    ? article.charAt(0).toUpperCase() + article.slice(1)
+    : article;
+}
+
+/**
+ * Grammatical number of the subject before offset `start` in `sentence`
+ * Returns 'singular', 'plural' or null when no subject is found, when a
+ * modal, auxiliary or "to" governs the verb ("she will walk", "to walk"),
+ * or when the subject is coordinated ("he and she walk"). Noun phrases
+ * inside a prepositional phrase are skipped ("the people in the house").
+ */
+function subjectNumber(sentence, start) {
+  const tokens = tagSentence(sentence).filter(t => t.end <= start).reverse();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lower = token.text.toLowerCase();
+    if (token.tag === 'adv') continue;
+    if (token.tag === 'aux' || token.tag === 'part') return null;
+
+    const pronoun = SINGULAR_PRONOUNS.has(lower) || PLURAL_PRONOUNS.has(lower);
+    if (!pronoun && token.tag !== 'noun') return null;
+
+    // Word before the noun phrase
+    let j = i + 1;
+    if (!pronoun) {
+      while (j < tokens.length && NOUN_PHRASE_TAGS.has(tokens[j].tag)) j++;
+    }
+    const before = tokens[j];
+
+    if (before && before.tag === 'prep') {
+      i = j;
+      continue;
+    }
+    if (before && before.text.toLowerCase() === 'and') return null;
+
+    if (SINGULAR_PRONOUNS.has(lower)) return 'singular';
+    if (PLURAL_PRONOUNS.has(lower)) return 'plural';
+    return IRREGULAR_PLURALS.has(lower) || /[^s]s$/.test(lower) ? 'plural' : 'singular';
+  }
+
+  return null;
+}
+
+/**
+ * Repair the text around one substitution
+ * `sub` is { start, end, replacement, candidate, pos, form } with offsets
+ * into `text`; `sentence` is the { start, end } span containing it.
+ * Returns { replacement, edits } where edits are
+ * [{ start, end, original, replacement, type }] on neighbouring tokens.
+ */
+export function repairSubstitution(text, sentence, sub) {
+  let { replacement } = sub;
+  const edits = [];
+
+  // Agreement: re-inflect a present-tense verb for its subject's number
+  if (sub.pos === 'verb' && (sub.form === 's' || sub.form === 'base')) {
+    const sentenceText = text.substring(sentence.start, sentence.end);
+    const number = subjectNumber(sentenceText, sub.start - sentence.start);
+    const form = number === 'singular' ? 's' : number === 'plural' ? 'base' : sub.form;
+
+    if (form !== sub.form) {
+      replacement = inflect(sub.candidate.toLowerCase(), form);
+    }
+  }
+
+  // Article: "a"/"an" directly before the replacement
+  const before = text.substring(sentence.start, sub.start);
+  const article = before.match(/\b(an?)\s+$/i);
+  if (article) {
+    const expected = indefiniteArticle(replacement);
+    if (article[1].toLowerCase() !== expected) {
+      const start = sentence.start + article.index;
+      edits.push({
+        start,
+        end: start + article[1].length,
+        original: article[1],
+        replacement: matchArticleCase(article[1], expected),
+        type: 'article',
+      });
+    }
+  }
+
+  // Capitalization: the replacement opens the sentence
+  if (/^["'“‘(\[]*$/.test(before) && replacement[0] !== replacement[0].toUpperCase()) {
+    replacement = replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+
+  return { replacement, edits };
+}
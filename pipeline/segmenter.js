@@ -0,0 +1,157 @@
+/**
+ * Segmenter - Complexity Injector (ES Module)
+ *
+ * Splits pipeline input into the spans each candidate is scored against:
+ * blocks (from the node map) → sentences → a scoring window around the
+ * target's sentence, so fill-mask, context-vector, negation and idiom checks
+ * see the local sentence rather than the whole page.
+ *
+ * Node map (whole-page mode): the page text is the concatenation of visible
+ * text nodes, described by [{ id, block, start, end }] where `id` is the
+ * content script's node index and `block` identifies the block-level element
+ * (paragraph, list item, nav link...) the node belongs to. Nodes sharing a
+ * block form one segment, so context never crosses from a menu into an
+ * article, and every result can be mapped back to its originating node.
+ */
+
+/**
+ * Build context segments from a node map
+ * Without a node map the whole text is a single segment.
+ */
+export function buildSegments(text, nodes) {
+  if (!nodes || nodes.length === 0) {
+    return [{ start: 0, end: text.length, nodes: null }];
+  }
+
+  const segments = [];
+  let current = null;
+
+  for (const node of nodes) {
+    if (!current || current.block !== node.block) {
+      current = { block: node.block, start: node.start, end: node.end, nodes: [] };
+      segments.push(current);
+    }
+    current.end = node.end;
+    current.nodes.push(node);
+  }
+
+  return segments;
+}
+
+/**
+ * Find the node that fully contains the [start, end) span
+ * Returns null when the span crosses a node boundary.
+ */
+export function locateNode(nodes, start, end) {
+  for (const node of nodes) {
+    if (start >= node.start && end <= node.end) {
+      return node;
+    }
+    if (node.start > start) {
+      break;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// SENTENCE SEGMENTATION
+// ============================================================================
+
+// Words whose trailing period does not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft',
+  'vs', 'etc', 'e.g', 'i.e', 'cf', 'al', 'approx', 'dept', 'est',
+  'inc', 'ltd', 'co', 'corp', 'no', 'vol', 'fig', 'gen', 'col', 'capt', 'lt',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+]);
+
+// Terminal punctuation (plus closing quotes/brackets) followed by whitespace, or a line break
+const SENTENCE_BOUNDARY = /[.!?]+["'”’)\]]*(?=\s)|\n+/;
+
+/**
+ * Check whether the period at `periodIndex` belongs to an abbreviation or initial
+ */
+function isAbbreviation(text, sentenceStart, periodIndex) {
+  const match = text.substring(sentenceStart, periodIndex).match(/(\S+)$/);
+  if (!match) return false;
+
+  const word = match[1].toLowerCase().replace(/^["'(\[“‘]+/, '');
+  return ABBREVIATIONS.has(word) || /^[a-z]$/.test(word);
+}
+
+/**
+ * Split text[start, end) into sentence spans [{ start, end }]
+ * Offsets are relative to `text`; surrounding whitespace is excluded.
+ */
+export function splitSentences(text, start = 0, end = text.length) {
+  const sentences = [];
+
+  const pushSentence = (from, to) => {
+    while (from < to && /\s/.test(text[from])) from++;
+    while (to > from && /\s/.test(text[to - 1])) to--;
+    if (to > from) {
+      sentences.push({ start: from, end: to });
+    }
+  };
+
+  const boundary = new RegExp(SENTENCE_BOUNDARY.source, 'g');
+  boundary.lastIndex = start;
+  let sentenceStart = start;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null && match.index < end) {
+    if (match[0][0] === '.' && match[0].length === 1 && isAbbreviation(text, sentenceStart, match.index)) {
+      continue;
+    }
+
+    const boundaryEnd = Math.min(match.index + match[0].length, end);
+    pushSentence(sentenceStart, boundaryEnd);
+    sentenceStart = boundaryEnd;
+  }
+
+  pushSentence(sentenceStart, end);
+  return sentences;
+}
+
+/**
+ * Get the scoring window for sentence `index`: the sentence itself plus
+ * `contextSentences` neighbouring sentences on each side
+ */
+export function getContextWindow(sentences, index, contextSentences = 0) {
+  const first = sentences[Math.max(0, index - contextSentences)];
+  const last = sentences[Math.min(sentences.length - 1, index + contextSentences)];
+  return { start: first.start, end: last.end };
+}
+
+/**
+ * Shrink a window to at most `maxWords` words, centred on the target
+ * [targetStart, targetEnd)
+ * Keeps masked-LM input well inside DistilBERT's 512-token limit. The whole
+ * target stays inside the window, so a phrase near its edge isn't cut.
+ */
+export function clampToWords(text, window, targetStart, targetEnd, maxWords) {
+  const words = [];
+  const regex = /\S+/g;
+  regex.lastIndex = window.start;
+  let match;
+
+  while ((match = regex.exec(text)) !== null && match.index < window.end) {
+    words.push({ start: match.index, end: Math.min(match.index + match[0].length, window.end) });
+  }
+
+  if (words.length <= maxWords) {
+    return window;
+  }
+
+  let targetFirst = words.findIndex(word => word.end > targetStart);
+  if (targetFirst === -1) targetFirst = words.length - 1;
+  let targetLast = words.findLastIndex(word => word.start < targetEnd);
+  if (targetLast < targetFirst) targetLast = targetFirst;
+
+  const span = targetLast - targetFirst + 1;
+  const first = Math.max(0, Math.min(targetFirst - Math.floor(Math.max(0, maxWords - span) / 2),
+    words.length - maxWords));
+  const last = Math.max(first + maxWords - 1, targetLast);
+  return { start: words[first].start, end: words[last].end };
+}
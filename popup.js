@@ -15,14 +15,28 @@ const elements = {
   statusIndicator: document.getElementById('status-indicator'),
   statusText: document.getElementById('status-text'),
   processPageBtn: document.getElementById('process-page-btn'),
+  processPageLabel: document.getElementById('process-page-label'),
+  pageDescription: document.getElementById('page-description'),
+  directionOptions: document.querySelectorAll('#direction-toggle .segmented-option'),
+  difficultyOptions: document.querySelectorAll('#difficulty-toggle .segmented-option'),
+  toneOptions: document.querySelectorAll('#tone-toggle .segmented-option'),
+  occurrencesOptions: document.querySelectorAll('#occurrences-toggle .segmented-option'),
+  openVocabulary: document.getElementById('open-vocabulary'),
   densitySlider: document.getElementById('density-slider'),
   densityValue: document.getElementById('density-value'),
+  gradeEnabled: document.getElementById('grade-enabled'),
+  gradeSlider: document.getElementById('grade-slider'),
+  gradeValue: document.getElementById('grade-value'),
   uploadBtn: document.getElementById('upload-btn'),
   csvInput: document.getElementById('csv-input'),
   fileName: document.getElementById('file-name'),
   defaultVocabCount: document.getElementById('default-vocab-count'),
   customVocabCount: document.getElementById('custom-vocab-count'),
   clearCustomBtn: document.getElementById('clear-custom-btn'),
+  nameInput: document.getElementById('name-input'),
+  addNameBtn: document.getElementById('add-name-btn'),
+  customNameCount: document.getElementById('custom-name-count'),
+  clearNamesBtn: document.getElementById('clear-names-btn'),
   instructionsToggle: document.getElementById('instructions-toggle'),
   instructionsContent: document.getElementById('instructions-content'),
   loadingOverlay: document.getElementById('loading-overlay'),
@@ -38,6 +52,22 @@ const State = {
   workerLoading: false,
   defaultVocabCount: 0,
   customVocabCount: 0,
+  direction: 'complexify',
+  difficulty: null,
+  tone: null,
+  occurrences: 'first',
+};
+
+// Whole-page labels per direction (values match Direction in data.js)
+const DIRECTION_LABELS = {
+  complexify: {
+    button: 'Complexify Page',
+    description: 'Scan and complexify simple words across the current page.',
+  },
+  simplify: {
+    button: 'Simplify Page',
+    description: 'Scan and replace GRE words with plain words across the current page.',
+  },
 };
 
 // ============================================================================
@@ -51,6 +81,16 @@ async function initialize() {
   // Set up event listeners
   setupEventListeners();
 
+  // Restore the last chosen direction, difficulty, tone and repeat handling
+  const { direction, difficulty, tone, openVocabulary, occurrences } = await chrome.storage.local.get([
+    'direction', 'difficulty', 'tone', 'openVocabulary', 'occurrences',
+  ]);
+  setDirection(direction || 'complexify');
+  setDifficulty(difficulty || null);
+  setTone(tone || null);
+  setOccurrences(occurrences || 'first');
+  elements.openVocabulary.checked = !!openVocabulary;
+
   // Check worker status
   await checkWorkerStatus();
 
@@ -65,11 +105,58 @@ function setupEventListeners() {
   // Process page button
   elements.processPageBtn.addEventListener('click', processCurrentPage);
 
+  // Direction toggle
+  for (const option of elements.directionOptions) {
+    option.addEventListener('click', () => {
+      setDirection(option.dataset.direction);
+      chrome.storage.local.set({ direction: State.direction });
+    });
+  }
+
+  // Difficulty toggle (stored, so the context menu uses it too)
+  for (const option of elements.difficultyOptions) {
+    option.addEventListener('click', () => {
+      setDifficulty(option.dataset.difficulty || null);
+      chrome.storage.local.set({ difficulty: State.difficulty });
+    });
+  }
+
+  // Tone toggle (stored, so the context menu uses it too)
+  for (const option of elements.toneOptions) {
+    option.addEventListener('click', () => {
+      setTone(option.dataset.tone || null);
+      chrome.storage.local.set({ tone: State.tone });
+    });
+  }
+
+  // Repeated words (stored, so the context menu uses it too)
+  for (const option of elements.occurrencesOptions) {
+    option.addEventListener('click', () => {
+      setOccurrences(option.dataset.occurrences);
+      chrome.storage.local.set({ occurrences: State.occurrences });
+    });
+  }
+
+  // Open vocabulary (stored, so the context menu uses it too)
+  elements.openVocabulary.addEventListener('change', (e) => {
+    chrome.storage.local.set({ openVocabulary: e.target.checked });
+  });
+
   // Density slider
   elements.densitySlider.addEventListener('input', (e) => {
     elements.densityValue.textContent = `${e.target.value}%`;
   });
 
+  // Target reading level (replaces the density quota when enabled)
+  elements.gradeEnabled.addEventListener('change', (e) => {
+    elements.gradeSlider.disabled = !e.target.checked;
+    elements.densitySlider.disabled = e.target.checked;
+  });
+
+  elements.gradeSlider.addEventListener('input', (e) => {
+    elements.gradeValue.textContent = `Grade ${e.target.value}`;
+  });
+
   // Upload button
   elements.uploadBtn.addEventListener('click', () => {
     elements.csvInput.click();
@@ -81,6 +168,13 @@ function setupEventListeners() {
   // Clear custom vocabulary
   elements.clearCustomBtn.addEventListener('click', clearCustomVocabulary);
 
+  // Protected names
+  elements.addNameBtn.addEventListener('click', addProtectedName);
+  elements.nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addProtectedName();
+  });
+  elements.clearNamesBtn.addEventListener('click', clearProtectedNames);
+
   // Instructions toggle
   elements.instructionsToggle.addEventListener('click', toggleInstructions);
 
@@ -191,6 +285,9 @@ async function processCurrentPage() {
 
   try {
     const density = parseInt(elements.densitySlider.value) / 100;
+    const targetGrade = elements.gradeEnabled.checked
+      ? parseInt(elements.gradeSlider.value)
+      : null;
 
     // Get the active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -202,15 +299,25 @@ async function processCurrentPage() {
     // Send message to background to process the page
     const result = await chrome.runtime.sendMessage({
       type: 'processWholePage',
-      data: { maxDensity: density, tabId: tab.id },
+      data: {
+        ...(targetGrade === null ? { maxDensity: density } : { targetGrade }),
+        tabId: tab.id,
+        direction: State.direction,
+        difficulty: State.difficulty,
+        tone: State.tone,
+        openVocabulary: elements.openVocabulary.checked,
+        occurrences: State.occurrences,
+      },
     });
 
     if (result.error) {
       throw new Error(result.error);
     }
 
-    // Show success notification
-    showNotification(`Made ${result.substitutionsMade} substitution(s)`, 'success');
+    // Show success notification, with the reading level change
+    const { before, after } = result.readability || {};
+    const grades = before ? ` (grade ${before.grade} → ${after.grade})` : '';
+    showNotification(`Made ${result.substitutionsMade} substitution(s)${grades}`, 'success');
 
   } catch (error) {
     console.error('Error processing page:', error);
@@ -240,6 +347,10 @@ async function loadVocabularyStats() {
       elements.customVocabCount.textContent = State.customVocabCount;
 
       elements.clearCustomBtn.disabled = State.customVocabCount === 0;
+
+      const nameCount = response.names?.length || 0;
+      elements.customNameCount.textContent = nameCount;
+      elements.clearNamesBtn.disabled = nameCount === 0;
     }
   } catch (error) {
     console.error('Error loading vocabulary stats:', error);
@@ -402,10 +513,112 @@ async function clearCustomVocabulary() {
   }
 }
 
+/**
+ * Add the typed name to the protected names
+ */
+async function addProtectedName() {
+  const name = elements.nameInput.value.trim();
+  if (!name) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'addGazetteerEntries',
+      data: { entries: [name] },
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    // Save to storage
+    const existing = await chrome.storage.local.get('customNames');
+    await chrome.storage.local.set({ customNames: [...(existing.customNames || []), name] });
+
+    elements.nameInput.value = '';
+    await loadVocabularyStats();
+
+    showNotification(`"${name}" will not be replaced`, 'success');
+
+  } catch (error) {
+    console.error('Error adding name:', error);
+    showNotification(error.message || 'Error adding name', 'error');
+  }
+}
+
+/**
+ * Clear the protected names
+ */
+async function clearProtectedNames() {
+  if (!confirm('Are you sure you want to clear all protected names?')) {
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'clearGazetteer' });
+    await chrome.storage.local.remove('customNames');
+
+    elements.customNameCount.textContent = '0';
+    elements.clearNamesBtn.disabled = true;
+
+    showNotification('Protected names cleared', 'success');
+
+  } catch (error) {
+    console.error('Error clearing names:', error);
+    showNotification('Error clearing names', 'error');
+  }
+}
+
 // ============================================================================
 // UI HELPERS
 // ============================================================================
 
+/**
+ * Switch the whole-page direction and update the toggle and labels
+ */
+function setDirection(direction) {
+  State.direction = DIRECTION_LABELS[direction] ? direction : 'complexify';
+
+  for (const option of elements.directionOptions) {
+    option.classList.toggle('segmented-option--active', option.dataset.direction === State.direction);
+  }
+
+  elements.processPageLabel.textContent = DIRECTION_LABELS[State.direction].button;
+  elements.pageDescription.textContent = DIRECTION_LABELS[State.direction].description;
+}
+
+/**
+ * Switch the preferred difficulty tier (null = any) and update the toggle
+ */
+function setDifficulty(difficulty) {
+  State.difficulty = difficulty;
+
+  for (const option of elements.difficultyOptions) {
+    option.classList.toggle('segmented-option--active', (option.dataset.difficulty || null) === difficulty);
+  }
+}
+
+/**
+ * Switch the tone preset (null = none) and update the toggle
+ */
+function setTone(tone) {
+  State.tone = tone;
+
+  for (const option of elements.toneOptions) {
+    option.classList.toggle('segmented-option--active', (option.dataset.tone || null) === tone);
+  }
+}
+
+/**
+ * Switch how repeated words are handled (values match Occurrences in data.js)
+ */
+function setOccurrences(occurrences) {
+  State.occurrences = occurrences;
+
+  for (const option of elements.occurrencesOptions) {
+    option.classList.toggle('segmented-option--active', option.dataset.occurrences === occurrences);
+  }
+}
+
 /**
  * Toggle instructions section
  */